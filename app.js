@@ -2,6 +2,20 @@
 // UTILITIES
 // ============================================================
 
+class StoredSettings {
+    // Settings kept as JSON in localStorage. A value that won't parse (edited by hand
+    // or left by an older version) falls back to the default rather than stopping the app
+    static read(key, fallback) {
+        try {
+            const saved = JSON.parse(localStorage.getItem(key));
+            return saved !== null && typeof saved === typeof fallback ? saved : fallback;
+        } catch (error) {
+            console.log(`ℹ️ Ignoring unreadable ${key} setting:`, error.message);
+            return fallback;
+        }
+    }
+}
+
 class FetchUtils {
     static async fetchWithTimeout(url, options = {}, timeout = 15000, retries = 3) {
         for (let attempt = 0; attempt <= retries; attempt++) {
@@ -47,6 +61,25 @@ class FetchUtils {
     }
 }
 
+// ============================================================
+// LANGUAGES
+// ============================================================
+
+// Supported practice languages: Wikipedia subdomain + Hypher pattern file
+// (patterns are served from the same CDN folder as en-us.js)
+const LANGUAGES = {
+    en: { label: 'English', wiki: 'en', hyphenation: 'en-us' },
+    es: { label: 'Español', wiki: 'es', hyphenation: 'es' },
+    fr: { label: 'Français', wiki: 'fr', hyphenation: 'fr' },
+    de: { label: 'Deutsch', wiki: 'de', hyphenation: 'de' },
+    it: { label: 'Italiano', wiki: 'it', hyphenation: 'it' },
+    pt: { label: 'Português', wiki: 'pt', hyphenation: 'pt' },
+    nl: { label: 'Nederlands', wiki: 'nl', hyphenation: 'nl' }
+};
+
+const DEFAULT_LANGUAGE = 'en';
+const HYPHENATION_PATTERN_URL = 'https://cdnjs.cloudflare.com/ajax/libs/hypher/0.2.5/patterns/';
+
 // ============================================================
 // WIKIPEDIA SERVICE
 // ============================================================
@@ -55,6 +88,17 @@ class WikipediaService {
     // Cache storage key prefix
     static CACHE_PREFIX = 'magpie_cache_';
 
+    // Active Wikipedia language (subdomain), set by LanguageManager
+    static language = DEFAULT_LANGUAGE;
+
+    static setLanguage(language) {
+        this.language = LANGUAGES[language] ? language : DEFAULT_LANGUAGE;
+    }
+
+    static getHost(language = this.language) {
+        return `https://${LANGUAGES[language].wiki}.wikipedia.org`;
+    }
+
     // Check if a cached item is still valid
     static isCacheValid(cacheItem) {
         if (!cacheItem || !cacheItem.expiresAt) return false;
@@ -93,9 +137,9 @@ class WikipediaService {
         }
     }
 
-    static async getFeaturedArticle(year, month, day) {
+    static async getFeaturedArticle(year, month, day, language = this.language) {
         const dateStr = `${year}/${String(month).padStart(2, '0')}/${String(day).padStart(2, '0')}`;
-        const cacheKey = `featured_${dateStr}`;
+        const cacheKey = `featured_${language}_${dateStr}`;
 
         // Check cache first (24-hour TTL for featured articles)
         const cachedArticle = this.getCachedItem(cacheKey);
@@ -104,7 +148,7 @@ class WikipediaService {
             return cachedArticle;
         }
 
-        const url = `https://api.wikimedia.org/feed/v1/wikipedia/en/featured/${dateStr}`;
+        const url = `https://api.wikimedia.org/feed/v1/wikipedia/${LANGUAGES[language].wiki}/featured/${dateStr}`;
         console.log('Fetching featured article from API:', url);
 
         perfMon.start('API: Featured Article Fetch');
@@ -117,11 +161,17 @@ class WikipediaService {
         perfMon.end('API: Featured Article Fetch');
         const article = data.tfa;
 
+        // Not every Wikipedia edition publishes a featured article every day
+        if (!article) {
+            throw new Error(`No featured article available for ${LANGUAGES[language].label} Wikipedia today`);
+        }
+
         // Create extract article immediately for progressive rendering
         const extractArticle = {
             title: article.title,
             text: article.extract,
-            url: `https://en.wikipedia.org/wiki/${encodeURIComponent(article.title)}`
+            url: `${this.getHost(language)}/wiki/${encodeURIComponent(article.title)}`,
+            language: language
         };
 
         // Check if the extract is substantial (>800 chars)
@@ -132,7 +182,7 @@ class WikipediaService {
         } else {
             // Extract is too small - show it immediately, then fetch full article in background
             // Set up background fetch for full article (will be handled by UIController)
-            const fullArticlePromise = this.getArticleByTitle(article.title)
+            const fullArticlePromise = this.getArticleByTitle(article.title, language)
                 .then(fullArticle => {
                     // Cache the full article for next time
                     this.setCachedItem(cacheKey, fullArticle, 86400000);
@@ -149,8 +199,8 @@ class WikipediaService {
         }
     }
 
-    static async getArticleByTitle(title) {
-        const cacheKey = `article_${title.toLowerCase()}`;
+    static async getArticleByTitle(title, language = this.language) {
+        const cacheKey = `article_${language}_${title.toLowerCase()}`;
 
         // Check cache first (session-based cache)
         const cachedArticle = this.getCachedItem(cacheKey);
@@ -170,7 +220,7 @@ class WikipediaService {
             origin: '*'
         });
 
-        const url = `https://en.wikipedia.org/w/api.php?${params.toString()}`;
+        const url = `${this.getHost(language)}/w/api.php?${params.toString()}`;
         console.log('Fetching article from API:', title);
 
         perfMon.start('API: Full Article Fetch');
@@ -191,7 +241,8 @@ class WikipediaService {
         const article = {
             title: page.title,
             text: page.extract || '',
-            url: `https://en.wikipedia.org/wiki/${encodeURIComponent(page.title)}`
+            url: `${this.getHost(language)}/wiki/${encodeURIComponent(page.title)}`,
+            language: language
         };
 
         // Cache for 7 days (604800000 ms)
@@ -201,325 +252,3560 @@ class WikipediaService {
     }
 
     static extractPlainText(html) {
-        // Create a temporary element to parse HTML
-        const temp = document.createElement('div');
-        temp.innerHTML = html;
-
-        // Remove script and style elements
-        temp.querySelectorAll('script, style').forEach(el => el.remove());
-
-        // Get text content and clean up whitespace
-        let text = temp.textContent || '';
-        text = text.replace(/\s+/g, ' ').trim();
-
-        return text;
+        // Parse into an inert document: unlike innerHTML on a live element,
+        // DOMParser never runs inline handlers or starts image/script loads
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        const body = doc.body;
+        if (!body) return '';
+
+        // Remove elements that never hold readable prose, plus Wikipedia citation markers
+        body.querySelectorAll('script, style, noscript, template, iframe, object, svg, math, sup.reference, .mw-editsection')
+            .forEach(el => el.remove());
+
+        // Keep paragraph structure: block elements become blank-line separated paragraphs
+        body.querySelectorAll('br').forEach(el => el.replaceWith('\n'));
+        body.querySelectorAll('p, div, li, h1, h2, h3, h4, h5, h6, blockquote, pre, tr, section, article')
+            .forEach(el => el.append('\n\n'));
+
+        // Get text content and clean up whitespace within each paragraph
+        const text = body.textContent || '';
+        return text
+            .split(/\n\s*\n/)
+            .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+            .filter(paragraph => paragraph.length > 0)
+            .join('\n\n');
     }
 }
 
 // ============================================================
-// SYLLABLE PARSER
+// ARTICLE SOURCES
 // ============================================================
 
-class SyllableParser {
+// Every source implements the same provider contract so UIController never
+// needs to know where text comes from:
+//   id, label          - registry key and picker label
+//   inputType          - 'text' (single line), 'textarea' or 'choice' (dropdown)
+//   placeholder, hint  - shown in the loader panel when the source is selected
+//   loadingMessage     - shown in the loading indicator while load() runs
+//   load(input)        - resolves to an article: { title, text, url }
+//   listChoices()      - ('choice' sources only) resolves to [{ value, label }]
+//   loadDefault()      - (optional) article to show on startup
+//   prefetchNext()     - (optional) background warm-up after loadDefault()
+// Articles may carry `_fullArticlePromise` for progressive rendering and an
+// optional `intro` line shown above the text.
+
+class ArticleSourceRegistry {
     constructor() {
-        this.hypher = null;
-        this.initHypher();
+        this.sources = new Map();
     }
 
-    initHypher() {
-        if (typeof Hypher === 'undefined') {
-            console.warn('Hypher library not loaded, using fallback syllable parsing');
-            return;
+    register(source) {
+        if (!source || !source.id || typeof source.load !== 'function') {
+            throw new Error('Article sources need an id and a load() method');
         }
+        this.sources.set(source.id, source);
+        return source;
+    }
 
-        try {
-            this.hypher = new Hypher(Hyphenation.en_us);
-        } catch (e) {
-            console.warn('Failed to initialize Hypher, using fallback parsing:', e);
-        }
+    get(id) {
+        return this.sources.get(id) || null;
     }
 
-    parse(text) {
-        // Clean up repeated punctuation marks in the text first
-        let cleanedText = text
-            .replace(/([,;!?])\1+/g, '$1')  // Replace multiple commas/semicolons/etc with single
-            .replace(/([—-])\1+/g, '$1')     // Replace multiple dashes with single
-            .replace(/(['"])\1+/g, '$1');    // Replace multiple quotes with single
+    list() {
+        return Array.from(this.sources.values());
+    }
+}
 
-        // Match words with any following punctuation/spaces
-        const wordRegex = /(\w+)([^a-zA-Z0-9]*)/g;
-        const syllables = [];
-        const wordMap = []; // Track which syllables belong to which word
-        let match;
+class WikipediaSource {
+    constructor() {
+        this.id = 'wikipedia';
+        this.label = 'Wikipedia';
+        this.inputType = 'text';
+        this.placeholder = "e.g., 'Albert Einstein' or paste Wikipedia URL";
+        this.hint = 'Featured article loaded, or paste a Wikipedia link below:';
+        this.loadingMessage = 'Fetching article from Wikipedia...';
+    }
 
-        while ((match = wordRegex.exec(cleanedText)) !== null) {
-            const word = match[1]; // Use match[1] for the word group (not match[0])
-            const following = match[2]; // Punctuation/spacing after word
+    async load(input) {
+        // Extract title from URL if needed
+        let title = input.trim();
 
-            if (!word) continue; // Skip empty matches
+        let language = WikipediaService.language;
 
-            const wordStart = syllables.length;
+        // Check if input is a Wikipedia URL and extract the language and article title
+        // (handles desktop "de.wikipedia.org" and mobile "de.m.wikipedia.org" hosts)
+        const urlPattern = /(?:https?:\/\/)?(?:([a-z][a-z-]*)\.)?(?:m\.)?wikipedia\.org\/wiki\/([^#?]+)/i;
+        const match = title.match(urlPattern);
 
-            // Check if word is a number - split digits individually
-            let wordSyllables;
-            if (/^\d+$/.test(word)) {
-                // Split numbers into individual digits
-                wordSyllables = word.split('');
-            } else if (/^[A-Z]{2,}$/.test(word)) {
-                // Split acronyms (all caps with 2+ letters) into individual letters
-                wordSyllables = word.split('');
-            } else {
-                wordSyllables = this.syllabifyWord(word);
-            }
+        if (match) {
+            // Extract the article title from the URL
+            title = decodeURIComponent(match[2]).replace(/_/g, ' ');
+            console.log('Extracted title from URL:', title);
 
-            syllables.push(...wordSyllables);
-            wordMap.push({
-                word: word,
-                following: following,
-                startIndex: wordStart,
-                endIndex: wordStart + wordSyllables.length - 1,
-                syllables: wordSyllables
-            });
+            const urlLanguage = match[1] && match[1].toLowerCase();
+            if (urlLanguage && urlLanguage !== 'www') {
+                if (!LANGUAGES[urlLanguage]) {
+                    throw new Error(`Wikipedia language "${urlLanguage}" is not supported yet`);
+                }
+                language = urlLanguage;
+            }
         }
 
-        return { syllables, wordMap };
+        return WikipediaService.getArticleByTitle(title, language);
     }
 
-    syllabifyWord(word) {
-        const lowerWord = word.toLowerCase();
-        let syllables;
+    async loadDefault() {
+        const today = new Date();
+        console.log('Requesting featured article for:', today.toDateString());
 
-        if (this.hypher) {
-            try {
-                syllables = this.hypher.hyphenate(lowerWord).split('-');
-            } catch (e) {
-                syllables = this.fallbackSyllabify(lowerWord);
-            }
-        } else {
-            syllables = this.fallbackSyllabify(lowerWord);
-        }
+        const article = await WikipediaService.getFeaturedArticle(
+            today.getFullYear(),
+            today.getMonth() + 1,
+            today.getDate()
+        );
+        return { ...article, intro: 'Featured article of the day' };
+    }
 
-        // Preserve original case by mapping syllables back to original word
-        return this.applyOriginalCase(word, syllables);
+    prefetchNext() {
+        // Pre-fetch tomorrow's featured article in the background for instant loading
+        const tomorrow = new Date();
+        tomorrow.setDate(tomorrow.getDate() + 1);
+
+        console.log('🔮 Prefetching tomorrow\'s featured article for instant loading...');
+
+        return WikipediaService.getFeaturedArticle(
+            tomorrow.getFullYear(),
+            tomorrow.getMonth() + 1,
+            tomorrow.getDate()
+        ).then(() => {
+            console.log('✅ Tomorrow\'s article cached successfully');
+        });
     }
+}
 
-    applyOriginalCase(originalWord, syllables) {
-        // Map lowercase syllables back to original case
-        const casePreservedSyllables = [];
-        let charIndex = 0;
+class YourTextSource {
+    // Pasted text or a dropped/selected .txt, .md or .html file
+    constructor() {
+        this.id = 'text';
+        this.label = 'Your text';
+        this.inputType = 'textarea';
+        this.acceptsFiles = '.txt,.md,.markdown,.html,.htm';
+        this.placeholder = 'Paste the text you want to practise here, or drop a .txt, .md or .html file...';
+        this.hint = 'Paste your own text or drop a file below, then click "Load Article":';
+        this.loadingMessage = 'Preparing your text...';
+    }
 
-        for (const syllable of syllables) {
-            let preservedSyllable = '';
+    async load(input) {
+        // Input is either pasted text or a File from the drop zone/file picker
+        const isFile = typeof input !== 'string';
+        const name = isFile ? input.name : '';
+        const raw = isFile ? await input.text() : input;
 
-            for (let i = 0; i < syllable.length; i++) {
-                if (charIndex < originalWord.length) {
-                    preservedSyllable += originalWord[charIndex];
-                    charIndex++;
-                }
-            }
+        if (!raw.trim()) {
+            throw new Error(isFile ? 'The file is empty.' : 'Please paste some text first.');
+        }
 
-            casePreservedSyllables.push(preservedSyllable);
+        // Reuse a previous conversion of the same content (7-day TTL like Wikipedia articles)
+        const cacheKey = `text_${this.hashText(name + raw)}`;
+        const cachedArticle = WikipediaService.getCachedItem(cacheKey);
+        if (cachedArticle) {
+            console.log('Using cached text:', cachedArticle.title);
+            return cachedArticle;
         }
 
-        return casePreservedSyllables;
-    }
+        const format = this.detectFormat(name, raw);
+        let text = raw;
+        if (format === 'html') {
+            text = WikipediaService.extractPlainText(raw);
+        } else if (format === 'markdown') {
+            text = this.stripMarkdown(raw);
+        }
+        text = this.normalizeParagraphs(text);
 
-    fallbackSyllabify(word) {
-        // Simple regex-based syllabification for fallback
-        // This is less accurate but works without Hypher
-        const pattern = /[^aeiouy]*[aeiouy]+(?:[^aeiouy]*$|[^aeiouy](?=[^aeiouy]))?/gi;
-        const matches = word.match(pattern);
-        return matches ? matches : [word];
+        if (!text) {
+            throw new Error('No readable text found.');
+        }
+
+        const article = {
+            title: this.deriveTitle(name, raw, text, format),
+            text: text,
+            url: null,
+            intro: isFile ? `Your file (${name})` : 'Your pasted text'
+        };
+
+        WikipediaService.setCachedItem(cacheKey, article, 604800000);
+        return article;
     }
-}
 
-// ============================================================
-// PACING ENGINE
-// ============================================================
+    detectFormat(name, raw) {
+        const lowerName = name.toLowerCase();
+        if (/\.html?$/.test(lowerName)) return 'html';
+        if (/\.(md|markdown)$/.test(lowerName)) return 'markdown';
+        if (lowerName.endsWith('.txt')) return 'text';
 
-class PacingEngine {
-    constructor(syllables, options = {}) {
-        this.syllables = syllables;
-        this.currentIndex = 0;
-        this.isPlaying = false;
-        this.isPaused = false;
-        this.speed = options.speed || 1000; // milliseconds per syllable
-        this.onSyllableChange = options.onSyllableChange || (() => {});
-        this.onComplete = options.onComplete || (() => {});
-        this.timeoutId = null;
-        this.startTime = 0;
-        this.pausedTime = 0;
+        // Pasted text: sniff for markup
+        if (/<(p|div|br|h[1-6]|li|span|a|html|body)\b[^>]*>/i.test(raw)) return 'html';
+        if (/^(#{1,6}\s|\s*[-*+]\s|\s*\d+\.\s|>\s|```)/m.test(raw) || /\[[^\]]+\]\([^)]+\)/.test(raw)) {
+            return 'markdown';
+        }
+        return 'text';
     }
 
-    start() {
-        if (this.isPlaying) return;
+    stripMarkdown(markdown) {
+        let text = markdown
+            .replace(/\r\n?/g, '\n')
+            .replace(/^---\n[\s\S]*?\n---\n/, '')          // YAML front matter
+            .replace(/```[\s\S]*?```/g, '')                  // Fenced code blocks
+            .replace(/`([^`]+)`/g, '$1')                       // Inline code
+            .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')          // Images -> alt text
+            .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')           // Links -> link text
+            .replace(/\[([^\]]+)\]\[[^\]]*\]/g, '$1')          // Reference links
+            .replace(/^\s*\[[^\]]+\]:\s+\S+.*$/gm, '')         // Link definitions
+            .replace(/^(#{1,6})\s+(.*?)\s*#*\s*$/gm, (m, hashes, title) => {
+                // ATX headings -> "== Title ==" section markers (see ArticleSections)
+                const marks = '='.repeat(Math.min(hashes.length + 1, 6));
+                return `\n${marks} ${title} ${marks}\n`;
+            })
+            .replace(/^\s*(?:[-*_]\s*){3,}$/gm, '')            // Horizontal rules
+            .replace(/^\s*>\s?/gm, '')                        // Blockquotes
+            .replace(/^\s*[-*+]\s+/gm, '')                    // Bullet markers
+            .replace(/^\s*\d+[.)]\s+/gm, '')                  // Numbered list markers
+            .replace(/(\*\*|__)(.+?)\1/g, '$2')                // Bold
+            .replace(/\*(?=\S)(.+?)(?<=\S)\*/g, '$1')          // Italic (*)
+            .replace(/\b_(?=\S)(.+?)(?<=\S)_\b/g, '$1')        // Italic (_), not snake_case
+            .replace(/~~(.+?)~~/g, '$1');                      // Strikethrough
+
+        // Inline HTML is allowed in Markdown
+        if (/<[a-z][^>]*>/i.test(text)) {
+            text = WikipediaService.extractPlainText(text.replace(/\n\n/g, '<br><br>'));
+        }
+        return text;
+    }
 
-        this.isPlaying = true;
-        this.isPaused = false;
-        this.startTime = Date.now() - this.pausedTime;
-        this.highlightSyllable();
+    normalizeParagraphs(text) {
+        // Join hard-wrapped lines, keep blank-line paragraph breaks and
+        // "== Heading ==" lines (so sections work for your own texts too)
+        return text
+            .replace(/\r\n?/g, '\n')
+            .split(/\n\s*\n/)
+            .flatMap(paragraph => {
+                const blocks = [];
+                let current = [];
+                paragraph.split('\n').forEach(line => {
+                    if (ArticleSections.HEADING_PATTERN.test(line.trim())) {
+                        blocks.push(current.join(' '), line.trim());
+                        current = [];
+                    } else {
+                        current.push(line);
+                    }
+                });
+                blocks.push(current.join(' '));
+                return blocks;
+            })
+            .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+            .filter(paragraph => paragraph.length > 0)
+            .join('\n\n');
     }
 
-    pause() {
-        if (!this.isPlaying || this.isPaused) return;
+    deriveTitle(name, raw, text, format) {
+        // Prefer a Markdown/HTML heading, then the file name, then the first line
+        let title = '';
+        if (format === 'markdown') {
+            const heading = raw.match(/^#{1,6}\s+(.+?)\s*#*\s*$/m);
+            if (heading) title = heading[1];
+        } else if (format === 'html') {
+            const doc = new DOMParser().parseFromString(raw, 'text/html');
+            const heading = doc.querySelector('title, h1');
+            if (heading) title = heading.textContent.trim();
+        }
+        if (!title && name) {
+            title = name.replace(/\.[^.]+$/, '').replace(/[-_]+/g, ' ');
+        }
+        if (!title) {
+            title = text.split('\n')[0].trim();
+        }
 
-        this.isPaused = true;
-        this.pausedTime = Date.now() - this.startTime;
+        // Trim to something readable
+        return title.length > 60 ? title.slice(0, 57) + '...' : title;
+    }
 
-        if (this.timeoutId) {
-            clearTimeout(this.timeoutId);
-            this.timeoutId = null;
+    hashText(text) {
+        // Small non-cryptographic hash (djb2) for cache keys
+        let hash = 5381;
+        for (let i = 0; i < text.length; i++) {
+            hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
         }
+        return (hash >>> 0).toString(36) + '_' + text.length;
     }
+}
 
-    resume() {
-        if (!this.isPaused) return;
-        this.isPlaying = true;
-        this.isPaused = false;
-        // Recalculate start time to preserve elapsed time
-        this.startTime = Date.now() - this.pausedTime;
-        this.highlightSyllable();
+class LocalFolderSource {
+    // Static texts live in a folder next to index.html, listed in index.json:
+    // { "texts": [{ "file": "name.txt", "title": "Display title" }] }
+    // Entries ending in .json must hold an article object ({ title, text, url }).
+    constructor(baseUrl = 'texts/') {
+        this.id = 'local';
+        this.label = 'Local texts';
+        this.inputType = 'choice';
+        this.placeholder = 'Choose a text';
+        this.hint = 'Choose one of the texts stored alongside the app:';
+        this.loadingMessage = 'Loading local text...';
+        this.baseUrl = baseUrl;
+        this.manifest = null;
     }
 
-    reset() {
-        this.stop();
-        this.currentIndex = 0;
-        this.pausedTime = 0;
-        this.onSyllableChange(0, this.syllables[0] || '');
+    async getManifest() {
+        if (this.manifest) return this.manifest;
+
+        const response = await FetchUtils.fetchWithTimeout(this.baseUrl + 'index.json', {}, 5000, 0);
+        const data = await response.json();
+        this.manifest = Array.isArray(data.texts) ? data.texts : [];
+        return this.manifest;
     }
 
-    stop() {
-        this.isPlaying = false;
-        this.isPaused = false;
+    async listChoices() {
+        const entries = await this.getManifest();
+        return entries.map(entry => ({ value: entry.file, label: entry.title || entry.file }));
+    }
 
-        if (this.timeoutId) {
-            clearTimeout(this.timeoutId);
-            this.timeoutId = null;
+    async load(file) {
+        const entries = await this.getManifest();
+        const entry = entries.find(item => item.file === file);
+        if (!entry) {
+            throw new Error(`Text "${file}" not found`);
         }
-    }
 
-    highlightSyllable() {
-        if (this.currentIndex >= this.syllables.length) {
-            this.stop();
-            this.onComplete();
-            return;
+        const url = this.baseUrl + encodeURIComponent(entry.file);
+        const response = await FetchUtils.fetchWithTimeout(url, {}, 5000, 0);
+
+        if (entry.file.toLowerCase().endsWith('.json')) {
+            const article = await response.json();
+            return {
+                title: article.title || entry.title,
+                text: article.text || '',
+                url: article.url || url
+            };
         }
 
-        const syllable = this.syllables[this.currentIndex];
-        this.onSyllableChange(this.currentIndex, syllable);
-        this.currentIndex++;
+        return {
+            title: entry.title || entry.file,
+            text: await response.text(),
+            url: url
+        };
+    }
+}
 
-        this.timeoutId = setTimeout(() => {
-            if (this.isPlaying) {
-                this.highlightSyllable();
-            }
-        }, this.speed);
+class PassageLibrarySource {
+    // Bundled reading passages from passages.js - never touches the network
+    constructor(library) {
+        this.id = 'passages';
+        this.label = 'Reading passages';
+        this.inputType = 'choice';
+        this.placeholder = 'Choose a passage';
+        this.hint = 'Choose a standard reading passage (works offline):';
+        this.loadingMessage = 'Loading passage...';
+        this.library = library || { version: '0', passages: [] };
     }
 
-    setSpeed(speed) {
-        this.speed = speed;
+    async listChoices() {
+        return this.library.passages.map(passage => ({
+            value: passage.id,
+            label: `${passage.title} (${passage.level})`
+        }));
     }
 
-    getProgress() {
+    async load(id) {
+        const passage = this.library.passages.find(item => item.id === id);
+        if (!passage) {
+            throw new Error(`Passage "${id}" not found`);
+        }
+
         return {
-            current: this.currentIndex,
-            total: this.syllables.length,
-            percentage: this.syllables.length > 0
-                ? Math.round((this.currentIndex / this.syllables.length) * 100)
-                : 0
+            title: passage.title,
+            text: passage.text,
+            url: null,
+            language: passage.language || 'en',
+            intro: `Reading passage, library v${this.library.version} - ${passage.source}`
         };
     }
 
-    getElapsedTime() {
-        if (!this.isPlaying && this.pausedTime === 0) return 0;
-        if (this.isPaused) return this.pausedTime;
-        return Date.now() - this.startTime;
+    async loadDefault() {
+        const first = this.library.passages[0];
+        if (!first) {
+            throw new Error('No reading passages bundled');
+        }
+        return this.load(first.id);
     }
 }
 
+// Global source registry - register new providers here
+const articleSources = new ArticleSourceRegistry();
+articleSources.register(new WikipediaSource());
+articleSources.register(new YourTextSource());
+articleSources.register(new LocalFolderSource());
+if (typeof PASSAGE_LIBRARY !== 'undefined') {
+    articleSources.register(new PassageLibrarySource(PASSAGE_LIBRARY));
+}
+
 // ============================================================
-// THEME MANAGER
+// ARTICLE SECTIONS
 // ============================================================
 
-class ThemeManager {
-    constructor() {
-        this.currentTheme = localStorage.getItem('theme') || this.getSystemTheme();
-        this.applyTheme(this.currentTheme);
-    }
+class ArticleSections {
+    // Back-matter sections skipped by default (lowercase, several languages)
+    static REFERENCE_TITLES = new Set([
+        'see also', 'references', 'notes', 'footnotes', 'citations', 'sources',
+        'bibliography', 'further reading', 'external links', 'notes and references',
+        'works cited',
+        'véase también', 'referencias', 'notas', 'bibliografía', 'enlaces externos',
+        'voir aussi', 'références', 'notes et références', 'liens externes',
+        'siehe auch', 'einzelnachweise', 'literatur', 'weblinks', 'anmerkungen',
+        'voci correlate', 'bibliografia', 'collegamenti esterni',
+        'ver também', 'referências', 'ligações externas',
+        'zie ook', 'referenties', 'externe links', 'bronnen'
+    ]);
+
+    // Wikipedia plaintext headings look like "== Early life ==" / "=== Childhood ==="
+    static HEADING_PATTERN = /^(={2,6})\s*(.+?)\s*\1\s*$/;
+
+    static parse(text) {
+        // Split plaintext into sections; the lead (text before the first heading) has no title
+        const sections = [{ title: null, level: 1, lines: [], reference: false }];
+        let referenceLevel = null; // Subsections of a reference section are skipped too
+
+        text.split('\n').forEach(line => {
+            const match = line.match(this.HEADING_PATTERN);
+            if (!match) {
+                sections[sections.length - 1].lines.push(line);
+                return;
+            }
 
-    getSystemTheme() {
-        if (window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches) {
-            return 'dark';
-        }
-        return 'light';
-    }
+            const level = match[1].length;
+            const title = match[2];
+            if (referenceLevel !== null && level <= referenceLevel) {
+                referenceLevel = null;
+            }
+            const reference = referenceLevel !== null ||
+                this.REFERENCE_TITLES.has(title.toLowerCase());
+            if (reference && referenceLevel === null) {
+                referenceLevel = level;
+            }
 
-    toggle() {
-        this.currentTheme = this.currentTheme === 'light' ? 'dark' : 'light';
-        this.applyTheme(this.currentTheme);
-    }
+            sections.push({ title: title, level: level, lines: [], reference: reference });
+        });
 
-    applyTheme(theme) {
-        document.documentElement.setAttribute('data-theme', theme);
-        localStorage.setItem('theme', theme);
-        this.updateThemeIcon();
+        return sections.map(section => ({
+            title: section.title,
+            level: section.level,
+            text: section.lines.join('\n').trim(),
+            reference: section.reference
+        }));
     }
 
-    updateThemeIcon() {
-        const icon = document.querySelector('.theme-icon');
-        if (icon) {
-            icon.textContent = this.currentTheme === 'dark' ? '☀️' : '🌙';
-        }
+    static defaultSelection(sections) {
+        // Indexes of sections practised by default: everything except back matter
+        return new Set(sections
+            .map((section, index) => (section.reference ? -1 : index))
+            .filter(index => index >= 0));
     }
 }
 
 // ============================================================
-// FONT SIZE MANAGER
+// TEXT NORMALIZER
 // ============================================================
 
-class FontSizeManager {
+class TextNormalizer {
+    // Clean-up rules run in this order before syllable parsing. Each can be
+    // toggled in settings; `languages` limits English-only rules.
+    static RULES = [
+        {
+            id: 'citations',
+            label: 'Remove bracketed citations ([1], [citation needed])',
+            apply: text => text.replace(/\s*\[(?:\d+|[a-z]|note \d+|citation needed|clarification needed|when\?|who\?|by whom\?|according to whom\?|page needed|dubious[^\]]*|nb \d+)\]/gi, '')
+        },
+        {
+            id: 'pronunciation',
+            label: 'Remove pronunciation guides',
+            apply: text => TextNormalizer.removeParentheticals(text, inner =>
+                /\/[^/]+\//.test(inner) ||
+                /[ˈˌəɪʊɛɔæʃʒθðŋːɑɒʌɜ]/.test(inner) ||
+                /^\s*(?:pronounced|pronunciation|listen|IPA)\b/i.test(inner))
+        },
+        {
+            id: 'parentheticals',
+            label: 'Remove parentheticals like "(born 1952)"',
+            apply: text => TextNormalizer.removeParentheticals(text, () => true)
+        },
+        {
+            id: 'abbreviations',
+            label: 'Expand abbreviations (Dr., St., e.g.)',
+            languages: ['en'],
+            apply: text => TextNormalizer.expandAbbreviations(text)
+        },
+        {
+            id: 'units',
+            label: 'Spell out unit symbols (km, kg, °C)',
+            languages: ['en'],
+            apply: text => TextNormalizer.expandUnits(text)
+        }
+    ];
+
+    // Words that usually open a sentence, used to tell a sentence-final "St." from "St. Name"
+    static SENTENCE_OPENERS = 'The|Then|He|She|It|They|We|I|You|A|An|This|That|These|Those|There|' +
+        'His|Her|Its|Their|Our|My|But|And|So|After|Before|When|While|Later';
+
+    // Abbreviations expanded by the 'abbreviations' rule (matched case-sensitively)
+    static ABBREVIATIONS = [
+        [/\be\.\s?g\.(?=\W|$),?/g, 'for example'],
+        [/\bi\.\s?e\.(?=\W|$),?/g, 'that is'],
+        [/\betc\./g, 'et cetera'],
+        [/\bc\.\s?(?=\d)/g, 'circa '],
+        [/\bca\.\s?(?=\d)/g, 'circa '],
+        [/\bvs?\./g, 'versus'],
+        [/\bapprox\./g, 'approximately'],
+        [/\bDr\.(?=\s)/g, 'Doctor'],
+        [/\bMr\.(?=\s)/g, 'Mister'],
+        [/\bMrs\.(?=\s)/g, 'Missus'],
+        [/\bMs\.(?=\s)/g, 'Miz'],
+        [/\bProf\.(?=\s)/g, 'Professor'],
+        [/\bJr\./g, 'Junior'],
+        [/\bSr\./g, 'Senior'],
+        [/\bMt\.(?=\s)/g, 'Mount'],
+        // St. ends a sentence as "Street." only after a street name in mid-sentence and before
+        // a word that opens the next sentence; before any other capitalised word it is a saint:
+        //   "He lives on Baker St. Then he left." -> "Baker Street. Then"
+        //   "In St. Louis, the river rises."      -> "In Saint Louis"
+        //   "Visit St. Andrews today."            -> "Visit Saint Andrews"
+        //   "We went to St. Paul today."          -> "to Saint Paul"
+        //   "Baker St., London"                   -> "Baker Street, London"
+        [new RegExp(`(?<=[a-z\\d,;]\\s+[A-Z][\\w'’-]*\\s+)\\bSt\\.(?=\\s+(?:${TextNormalizer.SENTENCE_OPENERS})\\b)`, 'g'), 'Street.'],
+        [/\bSt\.(?=\s+[A-Z])/g, 'Saint'],
+        [/\bSt\./g, 'Street'],
+        [/\bNo\.\s?(?=\d)/g, 'number '],
+        [/\bjr\./g, 'junior']
+    ];
+
+    // Unit symbols expanded by the 'units' rule when they follow a number
+    static UNITS = {
+        'km²': 'square kilometres', 'mi²': 'square miles', 'm²': 'square metres',
+        'km/h': 'kilometres per hour', 'mph': 'miles per hour',
+        'km': 'kilometres', 'cm': 'centimetres', 'mm': 'millimetres', 'm': 'metres',
+        'mi': 'miles', 'ft': 'feet',
+        'kg': 'kilograms', 'g': 'grams', 'lb': 'pounds', 'lbs': 'pounds', 't': 'tonnes',
+        '°C': 'degrees Celsius', '°F': 'degrees Fahrenheit', 'K': 'kelvin',
+        'ml': 'millilitres', 'L': 'litres', 'kW': 'kilowatts', 'MW': 'megawatts',
+        'km2': 'square kilometres', 'sq mi': 'square miles'
+    };
+
     constructor() {
-        this.currentSize = localStorage.getItem('fontSize') || 'medium';
-        this.applyFontSize(this.currentSize);
+        // Every rule is on unless the user switched it off
+        const saved = StoredSettings.read('disabledNormalizationRules', []);
+        this.disabledRules = new Set(Array.isArray(saved) ? saved : []);
     }
 
-    setSize(size) {
-        this.currentSize = size;
-        this.applyFontSize(size);
+    isEnabled(ruleId) {
+        return !this.disabledRules.has(ruleId);
     }
 
-    applyFontSize(size) {
-        document.documentElement.setAttribute('data-font-size', size);
-        localStorage.setItem('fontSize', size);
+    setEnabled(ruleId, enabled) {
+        if (enabled) {
+            this.disabledRules.delete(ruleId);
+        } else {
+            this.disabledRules.add(ruleId);
+        }
+        localStorage.setItem('disabledNormalizationRules', JSON.stringify(Array.from(this.disabledRules)));
     }
-}
 
-// ============================================================
-// MESH MODE MANAGER
-// ============================================================
+    normalize(text, language = DEFAULT_LANGUAGE) {
+        let result = text;
+        TextNormalizer.RULES.forEach(rule => {
+            if (!this.isEnabled(rule.id)) return;
+            if (rule.languages && !rule.languages.includes(language)) return;
+            result = rule.apply(result);
+        });
+        return TextNormalizer.tidyWhitespace(result);
+    }
 
-class MeshModeManager {
-    constructor() {
-        this.currentMode = localStorage.getItem('meshMode') || 'off';
-        this.applyMeshMode(this.currentMode);
+    static removeParentheticals(text, shouldRemove) {
+        // Innermost parentheses first so nested ones like "(born (c.) 1952)" are handled
+        let previous;
+        let result = text;
+        do {
+            previous = result;
+            result = result.replace(/\s*\(([^()]*)\)/g, (match, inner) => (shouldRemove(inner) ? '' : match.replace('(', '\u0000').replace(')', '\u0001')));
+        } while (result !== previous);
+        // Restore parentheses that were kept
+        return result.replace(/\u0000/g, '(').replace(/\u0001/g, ')');
     }
 
-    toggle() {
-        this.currentMode = this.currentMode === 'off' ? 'on' : 'off';
-        this.applyMeshMode(this.currentMode);
-        this.updateMeshIcon();
+    static expandAbbreviations(text) {
+        return this.ABBREVIATIONS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
     }
 
-    applyMeshMode(mode) {
-        document.documentElement.setAttribute('data-mesh-mode', mode);
-        localStorage.setItem('meshMode', mode);
+    static expandUnits(text) {
+        // Longest symbols first so "km²" wins over "km" and "m"
+        const symbols = Object.keys(this.UNITS).sort((a, b) => b.length - a.length);
+        const escaped = symbols.map(symbol => symbol.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&'));
+        const pattern = new RegExp(`(\\d)\\s?(${escaped.join('|')})(?![\\w²])`, 'g');
+        return text.replace(pattern, (match, digit, symbol) => `${digit} ${this.UNITS[symbol]}`);
     }
 
-    updateMeshIcon() {
-        const icon = document.querySelector('.mesh-icon');
-        if (icon) {
-            icon.textContent = this.currentMode === 'on' ? '✨' : '✨';
-        }
+    static tidyWhitespace(text) {
+        // Removals leave doubled spaces and spaces before punctuation behind
+        return text
+            .replace(/[ \t]{2,}/g, ' ')
+            .replace(/ +([,.;:!?])/g, '$1')
+            .replace(/^[ \t]+|[ \t]+$/gm, '');
+    }
+}
+
+// ============================================================
+// NUMBER VERBALIZER
+// ============================================================
+
+class NumberVerbalizer {
+    // English number words for "1984" -> "nineteen eighty-four"; the parser
+    // paces the spoken syllables while the numeral stays on screen
+    static ONES = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine',
+        'ten', 'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen',
+        'eighteen', 'nineteen'];
+    static TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+    static SCALES = [[1e12, 'trillion'], [1e9, 'billion'], [1e6, 'million'], [1e3, 'thousand']];
+
+    static CURRENCIES = {
+        '$': { unit: 'dollar', units: 'dollars', sub: 'cent', subs: 'cents' },
+        '£': { unit: 'pound', units: 'pounds', sub: 'penny', subs: 'pence' },
+        '€': { unit: 'euro', units: 'euros', sub: 'cent', subs: 'cents' }
+    };
+
+    // Spoken syllables for every word the verbalizer can produce (a closed set,
+    // so no need to trust hyphenation patterns with them)
+    static WORD_SYLLABLES = {
+        zero: ['ze', 'ro'], seven: ['sev', 'en'], eleven: ['e', 'lev', 'en'],
+        thirteen: ['thir', 'teen'], fourteen: ['four', 'teen'], fifteen: ['fif', 'teen'],
+        sixteen: ['six', 'teen'], seventeen: ['sev', 'en', 'teen'], eighteen: ['eigh', 'teen'],
+        nineteen: ['nine', 'teen'], twenty: ['twen', 'ty'], thirty: ['thir', 'ty'],
+        forty: ['for', 'ty'], fifty: ['fif', 'ty'], sixty: ['six', 'ty'],
+        seventy: ['sev', 'en', 'ty'], eighty: ['eigh', 'ty'], ninety: ['nine', 'ty'],
+        hundred: ['hun', 'dred'], thousand: ['thou', 'sand'], million: ['mil', 'lion'],
+        billion: ['bil', 'lion'], trillion: ['tril', 'lion'], percent: ['per', 'cent'],
+        dollar: ['dol', 'lar'], dollars: ['dol', 'lars'], euro: ['eu', 'ro'], euros: ['eu', 'ros'],
+        penny: ['pen', 'ny'], second: ['sec', 'ond'], seventh: ['sev', 'enth'],
+        eleventh: ['e', 'lev', 'enth']
+    };
+
+    // Irregular ordinals; everything else adds "th" (or "ty" -> "tieth")
+    static ORDINALS = {
+        one: 'first', two: 'second', three: 'third', five: 'fifth',
+        eight: 'eighth', nine: 'ninth', twelve: 'twelfth'
+    };
+
+    // Currency symbol, digits (with optional thousands separators), decimals, then a suffix
+    static PATTERN = /^([$£€]?)(\d{1,3}(?:,\d{3})+|\d+)(\.\d+)?(st|nd|rd|th|s|%)?$/;
+
+    static verbalize(token) {
+        const match = token.match(this.PATTERN);
+        if (!match) return null;
+
+        const [, currency, integerPart, decimalPart, suffix] = match;
+        const digits = integerPart.replace(/,/g, '');
+        const value = parseInt(digits, 10);
+        if (!Number.isSafeInteger(value) || value >= 1e15) return null;
+
+        if (currency) {
+            return this.currency(value, decimalPart, this.CURRENCIES[currency]);
+        }
+        if (suffix === '%') {
+            return `${this.decimal(value, decimalPart)} percent`;
+        }
+        if (decimalPart) {
+            return this.decimal(value, decimalPart);
+        }
+        if (suffix === 'st' || suffix === 'nd' || suffix === 'rd' || suffix === 'th') {
+            return this.ordinal(this.cardinal(value));
+        }
+
+        // Four-digit numbers without separators read as years ("1984", "1990s")
+        const isYear = digits.length === 4 && !integerPart.includes(',') && value >= 1100 && value < 2100;
+        const words = isYear ? this.year(value) : this.cardinal(value);
+        return suffix === 's' ? this.plural(words) : words;
+    }
+
+    static cardinal(n) {
+        if (n < 20) return this.ONES[n];
+        if (n < 100) {
+            const tens = this.TENS[Math.floor(n / 10)];
+            return n % 10 ? `${tens}-${this.ONES[n % 10]}` : tens;
+        }
+        if (n < 1000) {
+            const rest = n % 100;
+            const hundreds = `${this.ONES[Math.floor(n / 100)]} hundred`;
+            return rest ? `${hundreds} and ${this.cardinal(rest)}` : hundreds;
+        }
+
+        for (const [scale, name] of this.SCALES) {
+            if (n >= scale) {
+                const rest = n % scale;
+                const head = `${this.cardinal(Math.floor(n / scale))} ${name}`;
+                if (!rest) return head;
+                return rest < 100 ? `${head} and ${this.cardinal(rest)}` : `${head} ${this.cardinal(rest)}`;
+            }
+        }
+        return String(n);
+    }
+
+    static year(n) {
+        if (n >= 2000 && n < 2010) return this.cardinal(n);
+        const high = Math.floor(n / 100);
+        const low = n % 100;
+        if (low === 0) return `${this.cardinal(high)} hundred`;
+        return `${this.cardinal(high)} ${low < 10 ? 'oh ' + this.ONES[low] : this.cardinal(low)}`;
+    }
+
+    static decimal(n, decimalPart) {
+        if (!decimalPart) return this.cardinal(n);
+        const fraction = decimalPart.slice(1).split('').map(d => this.ONES[d]).join(' ');
+        return `${this.cardinal(n)} point ${fraction}`;
+    }
+
+    static currency(n, decimalPart, names) {
+        const parts = [];
+        if (n > 0 || !decimalPart) {
+            parts.push(`${this.cardinal(n)} ${n === 1 ? names.unit : names.units}`);
+        }
+        if (decimalPart) {
+            const cents = parseInt((decimalPart.slice(1) + '0').slice(0, 2), 10);
+            if (cents > 0) {
+                parts.push(`${this.cardinal(cents)} ${cents === 1 ? names.sub : names.subs}`);
+            }
+        }
+        return parts.join(' ') || `zero ${names.units}`;
+    }
+
+    static ordinal(words) {
+        // Only the last word changes: "twenty-one" -> "twenty-first"
+        return words.replace(/[a-z]+$/, last => {
+            if (this.ORDINALS[last]) return this.ORDINALS[last];
+            if (last.endsWith('y')) return last.slice(0, -1) + 'ieth';
+            return last + 'th';
+        });
+    }
+
+    static plural(words) {
+        // Decades and centuries: "nineteen nineties", "eighteen hundreds"
+        return words.replace(/[a-z]+$/, last => (last.endsWith('y') ? last.slice(0, -1) + 'ies' : last + 's'));
+    }
+
+    static syllabify(word) {
+        // Spoken syllables for a single number word, including ordinal/plural forms
+        if (this.WORD_SYLLABLES[word]) return this.WORD_SYLLABLES[word].slice();
+
+        const ordinalBase = Object.keys(this.ORDINALS).find(base => this.ORDINALS[base] === word);
+        if (ordinalBase) return [word];
+
+        if (word.endsWith('ieth') || word.endsWith('ies')) {
+            // "twentieth" -> twen-ti-eth, "nineties" -> nine-ties
+            const base = word.replace(/(ieth|ies)$/, 'y');
+            const syllables = this.syllabify(base);
+            syllables.pop();
+            return word.endsWith('ieth') ? [...syllables, 'ti', 'eth'] : [...syllables, 'ties'];
+        }
+        if (word.endsWith('th') || word.endsWith('s')) {
+            // "thirteenth" -> thir-teenth, "hundreds" -> hun-dreds
+            const suffix = word.endsWith('th') ? 'th' : 's';
+            const base = word.slice(0, -suffix.length);
+            if (this.WORD_SYLLABLES[base] || this.ONES.includes(base)) {
+                const syllables = this.syllabify(base);
+                syllables[syllables.length - 1] += suffix;
+                return syllables;
+            }
+        }
+        return [word];
+    }
+}
+
+// ============================================================
+// ACRONYM LEXICON
+// ============================================================
+
+class AcronymLexicon {
+    // How all-caps words are read: 'spell' (letter by letter) or the spoken
+    // syllables separated by hyphens. Unknown acronyms are spelled out.
+    static BUILT_IN = {
+        // Said as words
+        NASA: 'na-sa', NATO: 'na-to', UNESCO: 'u-nes-co', UNICEF: 'u-ni-cef', FIFA: 'fi-fa',
+        UEFA: 'u-e-fa', OPEC: 'o-pec', ASEAN: 'a-se-an', NAFTA: 'naf-ta', AIDS: 'aids',
+        SARS: 'sars', COVID: 'co-vid', LASER: 'la-ser', RADAR: 'ra-dar', SONAR: 'so-nar',
+        SCUBA: 'scu-ba', NIMBY: 'nim-by', POTUS: 'po-tus', SCOTUS: 'sco-tus', ISIS: 'i-sis',
+        NASDAQ: 'nas-daq', OSHA: 'o-sha', FEMA: 'fe-ma', UNIX: 'u-nix', BASIC: 'ba-sic',
+        CAPTCHA: 'capt-cha', CERN: 'cern', IKEA: 'i-ke-a', LEGO: 'le-go', SWAT: 'swat',
+        INTERPOL: 'in-ter-pol', GIF: 'gif', PIN: 'pin', JPEG: 'jay-peg', ASAP: 'a-sap',
+        // Spelled out
+        FBI: 'spell', CIA: 'spell', USA: 'spell', UK: 'spell', EU: 'spell', UN: 'spell',
+        BBC: 'spell', CNN: 'spell', DNA: 'spell', RNA: 'spell', HIV: 'spell', HTML: 'spell',
+        URL: 'spell', PDF: 'spell', CEO: 'spell', NHS: 'spell', IBM: 'spell', MIT: 'spell',
+        UFO: 'spell', TV: 'spell', NBA: 'spell', NFL: 'spell', WHO: 'spell', WWF: 'spell'
+    };
+
+    // Letters that take more than one beat when spelled out
+    static LETTER_SYLLABLES = { W: ['dou', 'ble', 'u'] };
+
+    constructor() {
+        const saved = StoredSettings.read('customAcronyms', {});
+        this.custom = saved && typeof saved === 'object' ? saved : {};
+    }
+
+    lookup(acronym) {
+        return this.custom[acronym] || AcronymLexicon.BUILT_IN[acronym] || null;
+    }
+
+    isCustom(acronym) {
+        return Object.prototype.hasOwnProperty.call(this.custom, acronym);
+    }
+
+    setCustom(acronym, pronunciation) {
+        const key = acronym.trim().toUpperCase();
+        if (!/^[A-Z]{2,}$/.test(key)) {
+            throw new Error('Acronyms must be at least two letters A-Z');
+        }
+        const value = AcronymLexicon.normalizePronunciation(pronunciation);
+        this.custom[key] = value;
+        this.save();
+        return key;
+    }
+
+    removeCustom(acronym) {
+        delete this.custom[acronym];
+        this.save();
+    }
+
+    save() {
+        localStorage.setItem('customAcronyms', JSON.stringify(this.custom));
+    }
+
+    static normalizePronunciation(pronunciation) {
+        const value = (pronunciation || '').trim().toLowerCase();
+        if (!value || value === 'spell') return 'spell';
+        // Accept "na-sa", "na sa" or "na·sa"
+        const syllables = value.split(/[\s\-·.]+/).filter(Boolean);
+        if (syllables.length === 0 || syllables.some(syllable => !/^[a-z']+$/.test(syllable))) {
+            throw new Error('Use letters separated by hyphens, e.g. "na-sa"');
+        }
+        return syllables.join('-');
+    }
+
+    resolve(word) {
+        // Returns { syllables, spoken, spelled } where spoken is set when the syllables
+        // don't spell the written word (e.g. "WWF", "JPEG"); plural "CDs" is handled too
+        const plural = /^[A-Z]{2,}s$/.test(word);
+        const acronym = plural ? word.slice(0, -1) : word;
+        const pronunciation = this.lookup(acronym) || 'spell';
+
+        let syllables;
+        let spokenWords;
+        if (pronunciation === 'spell') {
+            spokenWords = acronym.split('').map(letter => AcronymLexicon.LETTER_SYLLABLES[letter] || [letter]);
+            syllables = [].concat(...spokenWords);
+        } else {
+            syllables = pronunciation.split('-');
+            spokenWords = [syllables];
+        }
+        if (plural) {
+            syllables = syllables.slice();
+            syllables[syllables.length - 1] += 's';
+        }
+
+        // Syllables that spell the word can be shown in place, keeping capitals
+        if (syllables.join('').toLowerCase() === word.toLowerCase()) {
+            let charIndex = 0;
+            const cased = syllables.map(syllable => {
+                const part = word.slice(charIndex, charIndex + syllable.length);
+                charIndex += syllable.length;
+                return part;
+            });
+            return { syllables: cased, spoken: null, spelled: pronunciation === 'spell' };
+        }
+
+        const wordStarts = [];
+        let count = 0;
+        spokenWords.forEach(group => {
+            wordStarts.push(count);
+            count += group.length;
+        });
+        return {
+            syllables: syllables,
+            spelled: pronunciation === 'spell',
+            spoken: { text: spokenWords.map(group => group.join('-')).join(' '), wordStarts: wordStarts }
+        };
+    }
+}
+
+// ============================================================
+// SYLLABLE OVERRIDES
+// ============================================================
+
+class SyllableOverrides {
+    // User corrections for words the hyphenation patterns split unlike speech,
+    // e.g. "every" -> "ev-ery". Keyed by lowercase word, stored in localStorage.
+    constructor() {
+        const saved = StoredSettings.read('syllableOverrides', {});
+        this.overrides = saved && typeof saved === 'object' ? saved : {};
+    }
+
+    get(word) {
+        const split = this.overrides[word.toLowerCase()];
+        return split ? split.split('-') : null;
+    }
+
+    has(word) {
+        return Object.prototype.hasOwnProperty.call(this.overrides, word.toLowerCase());
+    }
+
+    set(word, split) {
+        // Accept "ev-ery", "ev ery" or "ev·ery"; the pieces must spell the word
+        const key = word.toLowerCase();
+        const syllables = split.toLowerCase().split(/[\s\-·|]+/).filter(Boolean);
+        if (syllables.join('') !== key) {
+            throw new Error(`The syllables must spell "${word}" exactly, e.g. ${key.slice(0, 2)}-${key.slice(2)}`);
+        }
+        this.overrides[key] = syllables.join('-');
+        this.save();
+    }
+
+    remove(word) {
+        delete this.overrides[word.toLowerCase()];
+        this.save();
+    }
+
+    save() {
+        localStorage.setItem('syllableOverrides', JSON.stringify(this.overrides));
+    }
+}
+
+// ============================================================
+// SYLLABIFIERS
+// ============================================================
+
+// Strategies for splitting a word into syllables. Each has an id and label (for
+// the settings picker) and syllabify(word, parser), which takes a lowercase word
+// without apostrophes and returns its lowercase syllables.
+
+class HyphenationSyllabifier {
+    constructor() {
+        this.id = 'hyphenation';
+        this.label = 'By spelling';
+    }
+
+    syllabify(word, parser) {
+        return parser.hyphenate(word);
+    }
+}
+
+class PronunciationLexicon {
+    // Lookup over PRONUNCIATION_LEXICON (pronunciations.js): ARPAbet phones per word
+    constructor(lexicon) {
+        this.version = lexicon.version;
+        this.entries = new Map();
+        Object.entries(lexicon.entries).forEach(([word, phones]) => {
+            // Words are looked up without apostrophes ("didn't" -> "didnt")
+            this.entries.set(word.replace(/['’]/g, ''), phones.split(' '));
+        });
+    }
+
+    lookup(word) {
+        return this.entries.get(word) || null;
+    }
+
+    stress(word) {
+        // One stress digit per spoken syllable (1 primary, 2 secondary, 0 none)
+        const phones = this.lookup(word);
+        if (!phones) return null;
+        return phones.filter(phone => /\d$/.test(phone)).map(phone => parseInt(phone.slice(-1)));
+    }
+}
+
+class PronunciationSyllabifier {
+    // Beats follow the spoken syllables from the pronunciation lexicon (one per
+    // vowel phone); the written word is then cut into that many pieces
+    static DIGRAPHS = ['ch', 'ck', 'gh', 'ph', 'qu', 'sh', 'th', 'wh'];
+    static ONSETS = ['bl', 'br', 'cl', 'cr', 'dr', 'fl', 'fr', 'gl', 'gr', 'pl', 'pr', 'sc', 'sk', 'sp', 'st', 'tr'];
+
+    constructor(lexicon) {
+        this.id = 'pronunciation';
+        this.label = 'By pronunciation (English)';
+        this.lexicon = lexicon;
+    }
+
+    syllabify(word, parser) {
+        const hyphenated = parser.hyphenate(word);
+        // The lexicon is English; unknown words keep the hyphenation split
+        const stress = parser.language === 'en' ? this.lexicon.stress(word) : null;
+        if (!stress) return hyphenated;
+
+        return PronunciationSyllabifier.alignToNuclei(word, stress.length, hyphenated);
+    }
+
+    static alignToNuclei(word, count, hyphenated) {
+        // Cut the spelling into `count` syllables around its vowel letters.
+        // Hyphenation is kept whenever it already has the right number of pieces
+        if (hyphenated.length === count || count < 1) return hyphenated;
+
+        const runs = [];
+        const vowelRun = new RegExp(`[${SyllableParser.VOWELS}]+`, 'g');
+        let match;
+        while ((match = vowelRun.exec(word)) !== null) {
+            runs.push({ start: match.index, end: match.index + match[0].length });
+        }
+        // A leading "y" before a vowel is a consonant ("yellow"), as is the "u" of "qu"
+        if (runs.length > 0 && runs[0].start === 0 && word[0] === 'y' && runs[0].end > 1) {
+            runs[0].start = 1;
+        }
+        runs.forEach(run => {
+            if (word[run.start] === 'u' && word[run.start - 1] === 'q' && run.end - run.start > 1) {
+                run.start++;
+            }
+        });
+
+        // Silent vowels first: final "e" ("time") and the "e" of a final -ed/-es ("walked")
+        const last = runs[runs.length - 1];
+        if (runs.length > count && last && last.end - last.start === 1 && word[last.start] === 'e') {
+            const isFinalE = last.start === word.length - 1 && !/le$/.test(word.slice(-2));
+            const isSuffixE = last.start === word.length - 2 && /e[ds]$/.test(word);
+            if (isFinalE || isSuffixE) runs.pop();
+        }
+
+        // Too many: merge the two vowel runs closest together ("bus-i-ness" -> "busi-ness")
+        while (runs.length > count) {
+            let closest = 0;
+            for (let i = 1; i < runs.length - 1; i++) {
+                if (runs[i + 1].start - runs[i].end < runs[closest + 1].start - runs[closest].end) {
+                    closest = i;
+                }
+            }
+            runs.splice(closest, 2, { start: runs[closest].start, end: runs[closest + 1].end });
+        }
+
+        // Too few: a final n or m can be a syllable of its own ("does-n't", "pris-m")...
+        const syllabic = runs.length < count && word.match(/[^aeiouy]([nm])t?$/);
+        if (syllabic) {
+            const start = syllabic.index + 1;
+            runs.push({ start, end: start + 1, syllabic: true });
+        }
+
+        // ...otherwise split the longest vowel run in two ("cre-ate")
+        while (runs.length < count) {
+            let longest = -1;
+            runs.forEach((run, i) => {
+                if (run.end - run.start > 1 && (longest < 0 || run.end - run.start > runs[longest].end - runs[longest].start)) {
+                    longest = i;
+                }
+            });
+            if (longest < 0) return hyphenated;
+            const run = runs[longest];
+            runs.splice(longest, 1, { start: run.start, end: run.start + 1 }, { start: run.start + 1, end: run.end });
+        }
+
+        // Cut between neighbouring runs: one consonant starts the next syllable
+        // (ba-by), two are shared (lit-tle) unless they're a digraph (mo-ther), and
+        // longer clusters give the next syllable one consonant or an onset (warm-ly, chil-dren)
+        const syllables = [];
+        let from = 0;
+        for (let i = 0; i < runs.length - 1; i++) {
+            const gapStart = runs[i].end;
+            const next = runs[i + 1].start;
+            const gap = next - gapStart;
+            let cut = gap <= 1 ? gapStart : gapStart + 1;
+            if (gap === 2 && PronunciationSyllabifier.DIGRAPHS.includes(word.slice(gapStart, next))) {
+                cut = gapStart;
+            } else if (gap >= 3) {
+                const onset = word.slice(next - 2, next);
+                const keepsTwo = PronunciationSyllabifier.ONSETS.includes(onset) || PronunciationSyllabifier.DIGRAPHS.includes(onset);
+                cut = keepsTwo ? next - 2 : next - 1;
+            }
+            if (runs[i + 1].syllabic) {
+                cut = next;
+            }
+            // Consonant + "le" at the end goes together ("ta-ble")
+            if (i === runs.length - 2 && /[^aeiouy]le$/.test(word) && runs[i + 1].start === word.length - 1) {
+                cut = word.length - 3;
+            }
+            syllables.push(word.slice(from, cut));
+            from = cut;
+        }
+        syllables.push(word.slice(from));
+
+        return syllables.every(syllable => syllable) ? syllables : hyphenated;
+    }
+}
+
+// ============================================================
+// LEXICAL STRESS
+// ============================================================
+
+class LexicalStress {
+    // Rule-of-thumb stress for words missing from the pronunciation lexicon.
+    // Returns one value per syllable: 1 for the stressed syllable, 0 otherwise
+
+    // Unstressed in running speech when they're one syllable
+    static FUNCTION_WORDS = new Set([
+        'a', 'an', 'the', 'and', 'or', 'but', 'nor', 'so', 'as', 'at', 'by', 'for', 'from',
+        'in', 'into', 'of', 'on', 'onto', 'to', 'up', 'with', 'than', 'that', 'if',
+        'i', 'me', 'my', 'you', 'your', 'he', 'him', 'his', 'she', 'her', 'it', 'its',
+        'we', 'us', 'our', 'they', 'them', 'their', 'is', 'am', 'are', 'was', 'were',
+        'be', 'been', 'has', 'have', 'had', 'do', 'does', 'did', 'can', 'could', 'will',
+        'would', 'shall', 'should', 'may', 'might', 'must', 'not', 'there', 'who', 'which'
+    ]);
+
+    // Prefixes that usually leave the stress on the next syllable ("be-GIN", "re-PORT")
+    static PREFIXES = new Set([
+        'a', 'ab', 'ac', 'ad', 'af', 'al', 'ap', 'as', 'at', 'be', 'com', 'con', 'de', 'dis',
+        'e', 'em', 'en', 'ex', 'for', 'im', 'in', 'mis', 'ob', 'of', 'per', 'pre', 'pro',
+        're', 'sub', 'suc', 'sup', 'sur', 'to', 'un'
+    ]);
+
+    // German and Dutch unstressed prefixes ("be-KOM-men", "ver-STEHEN")
+    static GERMANIC_PREFIXES = new Set(['be', 'ge', 'er', 'ver', 'zer', 'ent', 'emp', 'her', 'ont']);
+
+    // [ending, syllable counted from the end that takes the stress]
+    static SUFFIXES = [
+        [/(?:ee|eer|ese|ette|ique|oon|teen)$/, 1],                          // en-gi-NEER, fif-TEEN
+        [/(?:tion|sion|cian|cial|tial|cious|tious|ic|ics|ial|ian|ient)$/, 2], // in-for-MA-tion, e-LEC-tric
+        [/(?:ity|ety|ical|ify|ogy|graphy|ometer|ative|ible)$/, 3]            // a-BIL-i-ty, bi-OL-o-gy
+    ];
+
+    static guess(syllables, language = DEFAULT_LANGUAGE) {
+        const stress = new Array(syllables.length).fill(0);
+        if (syllables.length === 0) return stress;
+
+        const lowerSyllables = syllables.map(syllable => syllable.toLowerCase());
+        const word = lowerSyllables.join('');
+        if (syllables.length === 1) {
+            stress[0] = language === 'en' && LexicalStress.FUNCTION_WORDS.has(word) ? 0 : 1;
+            return stress;
+        }
+
+        stress[LexicalStress.stressedIndex(lowerSyllables, word, language)] = 1;
+        return stress;
+    }
+
+    static stressedIndex(syllables, word, language) {
+        const count = syllables.length;
+        const fromEnd = (position) => Math.max(0, count - position);
+
+        switch (language) {
+            case 'fr':
+                return count - 1;
+            case 'de':
+            case 'nl':
+                return LexicalStress.GERMANIC_PREFIXES.has(syllables[0]) ? 1 : 0;
+            case 'es':
+            case 'it':
+            case 'pt': {
+                // A written accent marks the stress; otherwise the penultimate
+                // (Spanish: the last when the word ends in a consonant other than n or s)
+                const accented = syllables.findIndex(syllable => /[áéíóúàèìòù]/.test(syllable));
+                if (accented >= 0) return accented;
+                if (language === 'es' && /[^aeiouns]$/.test(word)) return count - 1;
+                return fromEnd(2);
+            }
+        }
+
+        for (const [ending, position] of LexicalStress.SUFFIXES) {
+            if (ending.test(word)) return fromEnd(position);
+        }
+        return LexicalStress.PREFIXES.has(syllables[0]) ? 1 : 0;
+    }
+}
+
+// ============================================================
+// SYLLABLE PARSER
+// ============================================================
+
+class SyllableParser {
+    // Straight and typographic apostrophes, as allowed inside a word by parse()
+    static APOSTROPHE = /['’]/;
+
+    // Vowels for the fallback splitter, including the accented ones of the supported languages
+    static VOWELS = 'aeiouyàáâãäåæèéêëìíîïòóôõöøœùúûüýÿ';
+
+    constructor() {
+        this.hypher = null;
+        this.acronyms = new AcronymLexicon();
+        this.overrides = new SyllableOverrides();
+        this.language = DEFAULT_LANGUAGE;
+
+        // Pronunciation mode and dictionary stress need the lexicon from pronunciations.js
+        this.lexicon = typeof PRONUNCIATION_LEXICON !== 'undefined'
+            ? new PronunciationLexicon(PRONUNCIATION_LEXICON)
+            : null;
+        this.syllabifiers = [new HyphenationSyllabifier()];
+        if (this.lexicon) {
+            this.syllabifiers.push(new PronunciationSyllabifier(this.lexicon));
+        }
+        this.setSyllabifier(localStorage.getItem('syllabifier'));
+
+        this.hyphers = {}; // Hypher instance per language, built on first use
+        this.initHypher();
+    }
+
+    initHypher() {
+        if (typeof Hypher === 'undefined') {
+            console.warn('Hypher library not loaded, using fallback syllable parsing');
+            return;
+        }
+
+        try {
+            this.hypher = new Hypher(Hyphenation.en_us);
+            this.hyphers[DEFAULT_LANGUAGE] = this.hypher;
+        } catch (e) {
+            console.warn('Failed to initialize Hypher, using fallback parsing:', e);
+        }
+    }
+
+    async setLanguage(language) {
+        if (!LANGUAGES[language]) language = DEFAULT_LANGUAGE;
+        if (language === this.language && (this.hypher || typeof Hypher === 'undefined')) return;
+
+        this.language = language;
+        if (!this.hyphers[language] && typeof Hypher !== 'undefined') {
+            try {
+                const patterns = await SyllableParser.loadPatterns(LANGUAGES[language].hyphenation);
+                this.hyphers[language] = new Hypher(patterns);
+            } catch (e) {
+                console.warn(`Failed to load ${language} hyphenation patterns, using fallback parsing:`, e);
+            }
+        }
+        // Only switch if the language is still current (another switch may have happened meanwhile)
+        if (this.language === language) {
+            this.hypher = this.hyphers[language] || null;
+        }
+    }
+
+    setSyllabifier(id) {
+        this.syllabifier = this.syllabifiers.find(syllabifier => syllabifier.id === id) || this.syllabifiers[0];
+        localStorage.setItem('syllabifier', this.syllabifier.id);
+    }
+
+    static findPatterns(patternName) {
+        // Pattern files register as Hyphenation.en_us, Hyphenation.de, ...
+        if (typeof Hyphenation === 'undefined') return null;
+        return Hyphenation[patternName.replace(/-/g, '_')] || Hyphenation[patternName] || null;
+    }
+
+    static loadPatterns(patternName, timeout = 10000) {
+        const existing = this.findPatterns(patternName);
+        if (existing) return Promise.resolve(existing);
+
+        // In the parser worker there's no document: load the pattern file synchronously
+        if (typeof document === 'undefined') {
+            try {
+                importScripts(`${HYPHENATION_PATTERN_URL}${patternName}.js`);
+            } catch (e) {
+                return Promise.reject(new Error(`Could not load hyphenation patterns "${patternName}"`));
+            }
+            const patterns = this.findPatterns(patternName);
+            return patterns
+                ? Promise.resolve(patterns)
+                : Promise.reject(new Error(`Hyphenation patterns "${patternName}" did not register`));
+        }
+
+        // Inject the pattern script; the service worker caches it for offline use
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            // Don't leave article loading hanging on a stalled CDN request
+            const timeoutId = setTimeout(() => {
+                reject(new Error(`Timed out loading hyphenation patterns "${patternName}"`));
+            }, timeout);
+            script.src = `${HYPHENATION_PATTERN_URL}${patternName}.js`;
+            script.onload = () => {
+                clearTimeout(timeoutId);
+                const patterns = this.findPatterns(patternName);
+                if (patterns) {
+                    resolve(patterns);
+                } else {
+                    reject(new Error(`Hyphenation patterns "${patternName}" did not register`));
+                }
+            };
+            script.onerror = () => {
+                clearTimeout(timeoutId);
+                reject(new Error(`Could not load hyphenation patterns "${patternName}"`));
+            };
+            document.head.appendChild(script);
+        });
+    }
+
+    parse(text) {
+        // Clean up repeated punctuation marks in the text first
+        let cleanedText = text
+            .replace(/([,;!?])\1+/g, '$1')  // Replace multiple commas/semicolons/etc with single
+            .replace(/([—-])\1+/g, '$1')     // Replace multiple dashes with single
+            .replace(/(['"])\1+/g, '$1');    // Replace multiple quotes with single
+
+        // Match words (or numbers with their currency sign, separators, decimals
+        // and suffix) with any following punctuation/spaces. Letters are matched by
+        // Unicode property so "café" and "Gödel" stay whole, and an apostrophe between
+        // letters ("don't", "l'homme") is part of the word. Hyphens and dashes are
+        // punctuation: "well-known" is two words joined by the first one's "-"
+        const wordRegex = /([$£€]?(?:\d{1,3}(?:,\d{3})+|\d+)(?:\.\d+)?(?:%|[\p{L}\p{M}\p{N}]+)?|[\p{L}\p{M}\p{N}]+(?:['’][\p{L}\p{M}]+)*)([^\p{L}\p{M}\p{N}$£€]*)/gu;
+        const syllables = [];
+        const wordMap = []; // Track which syllables belong to which word
+        let match;
+
+        while ((match = wordRegex.exec(cleanedText)) !== null) {
+            const word = match[1]; // Use match[1] for the word group (not match[0])
+            const following = match[2]; // Punctuation/spacing after word
+
+            if (!word) continue; // Skip empty matches
+
+            const wordStart = syllables.length;
+
+            // Numbers are paced as spoken words; the numeral stays as the displayed text
+            let wordSyllables;
+            let stress;
+            let spoken = null;
+            const numberPart = SyllableParser.leadingNumber(word);
+            if (numberPart) {
+                spoken = this.verbalizeNumber(numberPart, word.slice(numberPart.length));
+                wordSyllables = spoken.syllables;
+                stress = spoken.stress;
+            } else if (/^[A-Z]{2,}s?$/.test(word)) {
+                // Acronyms (all caps with 2+ letters): said as a word or spelled out per the lexicon
+                const acronym = this.acronyms.resolve(word);
+                wordSyllables = acronym.syllables;
+                if (acronym.spoken) {
+                    spoken = { text: acronym.spoken.text, wordStarts: acronym.spoken.wordStarts };
+                }
+                // Spelled-out acronyms stress the last letter ("F-B-I")
+                stress = acronym.spelled
+                    ? wordSyllables.map((syllable, i) => (i === wordSyllables.length - 1 ? 1 : 0))
+                    : LexicalStress.guess(wordSyllables, this.language);
+            } else {
+                wordSyllables = this.syllabifyWord(word);
+                stress = this.syllableStress(word, wordSyllables);
+            }
+
+            syllables.push(...wordSyllables);
+            const wordInfo = {
+                word: word,
+                following: following,
+                startIndex: wordStart,
+                endIndex: wordStart + wordSyllables.length - 1,
+                syllables: wordSyllables,
+                stress: stress
+            };
+            if (spoken) {
+                // Shown as-is, with the spoken syllables grouped underneath
+                wordInfo.display = word;
+                wordInfo.spoken = spoken.text;
+                wordInfo.spokenWordStarts = spoken.wordStarts;
+            }
+            wordMap.push(wordInfo);
+        }
+
+        return { syllables, wordMap };
+    }
+
+    static leadingNumber(word) {
+        // The number a word is or starts with ("1984", "3" of "3D", "10" of "10km"),
+        // or null when it isn't one NumberVerbalizer can read
+        if (NumberVerbalizer.PATTERN.test(word)) return word;
+        const match = word.match(/^[$£€]?[\d,.]*\d/);
+        return match && NumberVerbalizer.PATTERN.test(match[0]) ? match[0] : null;
+    }
+
+    verbalizeNumber(token, suffix = '') {
+        // English numbers become spoken syllables; other languages keep one beat per digit.
+        // Letters run on after the number ("3D", "5G") follow as a word of their own
+        let text = this.language === 'en' ? NumberVerbalizer.verbalize(token) : null;
+        const syllables = [];
+        const wordStarts = [];
+        const stress = [];
+        if (!text) {
+            text = token;
+            token.replace(/[^0-9]/g, '').split('').forEach(digit => {
+                wordStarts.push(syllables.length);
+                syllables.push(digit);
+                stress.push(1);
+            });
+        } else {
+            text.split(/[\s-]+/).forEach(spokenWord => {
+                const wordSyllables = NumberVerbalizer.syllabify(spokenWord);
+                wordStarts.push(syllables.length);
+                syllables.push(...wordSyllables);
+                stress.push(...this.syllableStress(spokenWord, wordSyllables));
+            });
+        }
+
+        if (suffix) {
+            const suffixSyllables = this.syllabifyWord(suffix);
+            wordStarts.push(syllables.length);
+            syllables.push(...suffixSyllables);
+            stress.push(...this.syllableStress(suffix, suffixSyllables));
+            text += ' ' + suffix;
+        }
+        return { text, syllables, wordStarts, stress };
+    }
+
+    syllableStress(word, syllables) {
+        // Dictionary stress when the lexicon knows the word and the split has one
+        // piece per spoken syllable; otherwise the rule-of-thumb guess
+        if (this.lexicon && this.language === 'en') {
+            const stress = this.lexicon.stress(word.toLowerCase().replace(/['’]/g, ''));
+            if (stress && stress.length === syllables.length) return stress;
+        }
+        return LexicalStress.guess(syllables, this.language);
+    }
+
+    parseSections(sections, selected) {
+        // Parse the selected sections into one syllable stream; headings are
+        // returned separately (with the word they precede) so they render but are never paced
+        const result = { syllables: [], wordMap: [], headings: [] };
+        for (const chunk of this.parseSectionsIncrementally(sections, selected)) {
+            SyllableParser.appendChunk(result, chunk);
+        }
+        return result;
+    }
+
+    *parseSectionsIncrementally(sections, selected) {
+        // Same as parseSections, one paragraph at a time: yields
+        // { syllables, wordMap, headings, wordOffset } with indexes already global
+        let syllableOffset = 0;
+        let wordOffset = 0;
+        let pendingHeadings = [];
+
+        for (let index = 0; index < sections.length; index++) {
+            const section = sections[index];
+            if (!selected.has(index)) continue;
+
+            if (section.title) {
+                pendingHeadings.push({ title: section.title, level: section.level, wordIndex: wordOffset });
+            }
+            if (!section.text) continue;
+
+            for (const paragraph of SyllableParser.splitParagraphs(section.text)) {
+                const parsed = this.parse(paragraph);
+                if (parsed.wordMap.length === 0) continue;
+
+                const wordMap = parsed.wordMap.map(wordInfo => ({
+                    ...wordInfo,
+                    startIndex: wordInfo.startIndex + syllableOffset,
+                    endIndex: wordInfo.endIndex + syllableOffset
+                }));
+                // Headings go out with the first words after them, so a heading
+                // with nothing after it (e.g. an empty trailing section) is dropped
+                yield { syllables: parsed.syllables, wordMap, headings: pendingHeadings, wordOffset };
+
+                pendingHeadings = [];
+                syllableOffset += parsed.syllables.length;
+                wordOffset += wordMap.length;
+            }
+        }
+    }
+
+    static splitParagraphs(text) {
+        // Split after blank lines, keeping each break with the paragraph before it so
+        // the last word's `following` is unchanged; only split before a word, so a
+        // paragraph's leading punctuation (an opening quote) isn't lost
+        return text.split(/(?<=\n[^\S\n]*\n\s*)(?=[\p{L}\p{N}$£€])/u);
+    }
+
+    static appendChunk(result, chunk) {
+        chunk.syllables.forEach(syllable => result.syllables.push(syllable));
+        chunk.wordMap.forEach(wordInfo => result.wordMap.push(wordInfo));
+        chunk.headings.forEach(heading => result.headings.push(heading));
+        return result;
+    }
+
+    syllabifyWord(word) {
+        const lowerWord = word.toLowerCase();
+        let syllables = this.overrides.get(lowerWord);
+
+        if (syllables) {
+            // The user's own split always wins
+        } else {
+            // Split the letters only; apostrophes are put back by applyOriginalCase
+            syllables = this.syllabifier.syllabify(lowerWord.replace(/['’]/g, ''), this);
+        }
+
+        // Preserve original case by mapping syllables back to original word
+        return this.applyOriginalCase(word, syllables);
+    }
+
+    hyphenate(word) {
+        if (!this.hypher) return this.fallbackSyllabify(word);
+
+        try {
+            // Hypher returns an array of parts; older builds returned a hyphenated string
+            const parts = this.hypher.hyphenate(word);
+            return Array.isArray(parts) ? parts : String(parts).split('-');
+        } catch (e) {
+            return this.fallbackSyllabify(word);
+        }
+    }
+
+    applyOriginalCase(originalWord, syllables) {
+        // Map lowercase syllables back to original case (and original apostrophes).
+        // Iterate by code point so letters outside the BMP aren't split in half
+        const chars = Array.from(originalWord);
+        const isApostrophe = char => SyllableParser.APOSTROPHE.test(char);
+        const casePreservedSyllables = [];
+        let charIndex = 0;
+
+        for (const syllable of syllables) {
+            let preservedSyllable = '';
+
+            for (const char of Array.from(syllable)) {
+                if (isApostrophe(char)) continue;
+                // An apostrophe joins the syllable of the letter after it ("could-n't")
+                while (charIndex < chars.length && isApostrophe(chars[charIndex])) {
+                    preservedSyllable += chars[charIndex++];
+                }
+                if (charIndex < chars.length) {
+                    preservedSyllable += chars[charIndex++];
+                }
+            }
+
+            casePreservedSyllables.push(preservedSyllable);
+        }
+
+        // Anything left over (a trailing apostrophe) stays on the last syllable
+        if (charIndex < chars.length && casePreservedSyllables.length > 0) {
+            casePreservedSyllables[casePreservedSyllables.length - 1] += chars.slice(charIndex).join('');
+        }
+
+        return casePreservedSyllables.filter(syllable => syllable);
+    }
+
+    fallbackSyllabify(word) {
+        // Simple regex-based syllabification for fallback
+        // This is less accurate but works without Hypher
+        const v = SyllableParser.VOWELS;
+        const pattern = new RegExp(`[^${v}]*[${v}]+(?:[^${v}]*$|[^${v}](?=[^${v}]))?`, 'gi');
+        const matches = word.match(pattern);
+        return matches ? matches : [word];
+    }
+}
+
+// ============================================================
+// PARSER WORKER CLIENT
+// ============================================================
+
+class ParserWorkerClient {
+    // Runs parsing in parser-worker.js so long articles don't freeze the page;
+    // chunks stream back as each paragraph is parsed. Falls back to the page's
+    // own parser when workers aren't available or the worker fails to start
+    constructor(parser) {
+        this.parser = parser;
+        this.requests = new Map();
+        this.nextId = 1;
+        this.worker = null;
+
+        if (typeof Worker === 'undefined') return;
+        try {
+            this.worker = new Worker('parser-worker.js');
+            this.worker.onmessage = (event) => this.handleMessage(event.data);
+            this.worker.onerror = (event) => {
+                event.preventDefault();
+                this.handleWorkerFailure(new Error(event.message || 'Parser worker failed'));
+            };
+        } catch (e) {
+            console.warn('Parser worker unavailable, parsing on the main thread:', e);
+            this.worker = null;
+        }
+    }
+
+    parseSections(sections, selected, language, onChunk = () => {}) {
+        // Resolves with the full { syllables, wordMap, headings }; onChunk sees each piece as it arrives
+        if (!this.worker) {
+            return this.parseLocally(sections, selected, language, onChunk);
+        }
+
+        return new Promise((resolve, reject) => {
+            const id = this.nextId++;
+            this.requests.set(id, {
+                sections, selected, language, onChunk, resolve, reject,
+                result: { syllables: [], wordMap: [], headings: [] }
+            });
+            this.worker.postMessage({
+                id,
+                sections,
+                selected: Array.from(selected),
+                language,
+                settings: this.getParserSettings()
+            });
+        });
+    }
+
+    getParserSettings() {
+        // The worker has no localStorage; send what the parser would read from it
+        return {
+            customAcronyms: localStorage.getItem('customAcronyms'),
+            syllableOverrides: localStorage.getItem('syllableOverrides'),
+            syllabifier: this.parser.syllabifier.id
+        };
+    }
+
+    handleMessage(message) {
+        const request = this.requests.get(message.id);
+        if (!request) return;
+
+        if (message.type === 'chunk') {
+            request.received = true;
+            SyllableParser.appendChunk(request.result, message.chunk);
+            request.onChunk(message.chunk);
+        } else if (message.type === 'done') {
+            this.requests.delete(message.id);
+            request.resolve(request.result);
+        } else if (message.type === 'error') {
+            this.requests.delete(message.id);
+            this.retryLocally(request, new Error(message.message));
+        }
+    }
+
+    handleWorkerFailure(error) {
+        console.warn('Parser worker failed, parsing on the main thread:', error);
+        this.worker.terminate();
+        this.worker = null;
+        const pending = Array.from(this.requests.values());
+        this.requests.clear();
+        pending.forEach(request => this.retryLocally(request, error));
+    }
+
+    retryLocally(request, error) {
+        // Only safe to start over if the caller hasn't rendered any chunks yet
+        if (request.received) {
+            request.reject(error);
+            return;
+        }
+        this.parseLocally(request.sections, request.selected, request.language, request.onChunk)
+            .then(request.resolve, request.reject);
+    }
+
+    async parseLocally(sections, selected, language, onChunk) {
+        await this.parser.setLanguage(language);
+        const result = { syllables: [], wordMap: [], headings: [] };
+        for (const chunk of this.parser.parseSectionsIncrementally(sections, selected)) {
+            SyllableParser.appendChunk(result, chunk);
+            onChunk(chunk);
+        }
+        return result;
+    }
+}
+
+// ============================================================
+// PAUSE RULES
+// ============================================================
+
+class PauseRules {
+    // Breaks held after a word, chosen from the text that follows it (strongest
+    // first). Pauses are measured in beats so they scale with the speed setting.
+    static RULES = [
+        { id: 'paragraph', label: 'Paragraphs and headings', beats: 3, test: following => /\n/.test(following) },
+        { id: 'sentence', label: 'Full stops, ? and !', beats: 2, test: following => /[.!?…]/.test(following) },
+        { id: 'clause', label: 'Semicolons, colons and dashes', beats: 1.5, test: following => /[;:—–]|\s-\s/.test(following) },
+        { id: 'comma', label: 'Commas', beats: 1, test: following => /,/.test(following) }
+    ];
+
+    static BEAT_OPTIONS = [0, 0.5, 1, 1.5, 2, 3, 4];
+
+    // Multiplier for the last syllable of every word (1 = off)
+    static WORD_FINAL_OPTIONS = [1, 1.25, 1.5, 2];
+
+    constructor() {
+        const saved = StoredSettings.read('pauseRules', {});
+        this.settings = { wordFinal: 1 };
+        PauseRules.RULES.forEach(rule => {
+            this.settings[rule.id] = rule.beats;
+        });
+        Object.keys(this.settings).forEach(key => {
+            if (typeof saved[key] === 'number') this.settings[key] = saved[key];
+        });
+    }
+
+    get(id) {
+        return this.settings[id];
+    }
+
+    set(id, value) {
+        this.settings[id] = value;
+        localStorage.setItem('pauseRules', JSON.stringify(this.settings));
+    }
+
+    static classify(following) {
+        // The boundary a word's trailing text marks, or null for none
+        const rule = PauseRules.RULES.find(rule => rule.test(following || ''));
+        return rule ? rule.id : null;
+    }
+
+    getPauseBeats(boundary) {
+        return boundary ? this.settings[boundary] : 0;
+    }
+
+    getWordFinalFactor() {
+        return this.settings.wordFinal;
+    }
+
+    static mapBoundaries(syllableCount, wordMap, headings = []) {
+        // Per-syllable boundary ids (set on the last syllable of each word), word-final
+        // flags (also set inside numbers, at the end of each spoken word) and word starts
+        const boundaries = new Array(syllableCount).fill(null);
+        const wordFinal = new Array(syllableCount).fill(false);
+        const wordStarts = new Array(syllableCount).fill(false);
+        const beforeHeading = new Set(headings.map(heading => heading.wordIndex - 1));
+
+        wordMap.forEach((wordInfo, wordIndex) => {
+            boundaries[wordInfo.endIndex] = beforeHeading.has(wordIndex)
+                ? 'paragraph'
+                : PauseRules.classify(wordInfo.following);
+            wordFinal[wordInfo.endIndex] = true;
+            wordStarts[wordInfo.startIndex] = true;
+            (wordInfo.spokenWordStarts || []).forEach(start => {
+                if (start > 0) wordFinal[wordInfo.startIndex + start - 1] = true;
+            });
+        });
+
+        return { boundaries, wordFinal, wordStarts };
+    }
+}
+
+// ============================================================
+// SPEED PROGRAMS
+// ============================================================
+
+class SpeedProgram {
+    // A session plan that moves the syllable duration from slow towards normal
+    // in stages, e.g. 2000ms for 3 minutes, then 1500ms, then 1000ms. With `ramp`
+    // the speed slides evenly from each stage to the next instead of stepping.
+    // The last stage holds for the rest of the session.
+    static DEFAULT_STAGES = [
+        { speed: 2000, minutes: 3 },
+        { speed: 1500, minutes: 3 },
+        { speed: 1000, minutes: 4 }
+    ];
+
+    static MIN_SPEED = 200;
+    static MAX_SPEED = 5000;
+
+    constructor() {
+        const saved = StoredSettings.read('speedProgram', {});
+        this.enabled = saved.enabled === true;
+        this.ramp = saved.ramp === true;
+        this.stages = Array.isArray(saved.stages)
+            ? saved.stages.filter(stage => SpeedProgram.isValidStage(stage))
+            : SpeedProgram.DEFAULT_STAGES.map(stage => ({ ...stage }));
+    }
+
+    static isValidStage(stage) {
+        return stage && Number.isFinite(stage.speed) && Number.isFinite(stage.minutes) &&
+            stage.speed >= SpeedProgram.MIN_SPEED && stage.speed <= SpeedProgram.MAX_SPEED &&
+            stage.minutes > 0;
+    }
+
+    isActive() {
+        return this.enabled && this.stages.length > 0;
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.save();
+    }
+
+    setRamp(ramp) {
+        this.ramp = ramp;
+        this.save();
+    }
+
+    addStage(speed, minutes) {
+        const stage = { speed: parseInt(speed), minutes: parseFloat(minutes) };
+        if (!SpeedProgram.isValidStage(stage)) {
+            throw new Error(`Stages need a duration of ${SpeedProgram.MIN_SPEED}-${SpeedProgram.MAX_SPEED}ms and a length in minutes`);
+        }
+        this.stages.push(stage);
+        this.save();
+    }
+
+    removeStage(index) {
+        this.stages.splice(index, 1);
+        this.save();
+    }
+
+    save() {
+        localStorage.setItem('speedProgram', JSON.stringify({
+            enabled: this.enabled,
+            ramp: this.ramp,
+            stages: this.stages
+        }));
+    }
+
+    getStageStarts() {
+        // Elapsed time (ms) at which each stage begins
+        let start = 0;
+        return this.stages.map(stage => {
+            const stageStart = start;
+            start += stage.minutes * 60000;
+            return stageStart;
+        });
+    }
+
+    speedAt(elapsed) {
+        const starts = this.getStageStarts();
+        let index = starts.length - 1;
+        while (index > 0 && starts[index] > elapsed) index--;
+
+        const stage = this.stages[index];
+        const next = this.stages[index + 1];
+        if (!this.ramp || !next) return stage.speed;
+
+        const progress = (elapsed - starts[index]) / (stage.minutes * 60000);
+        return Math.round(stage.speed + (next.speed - stage.speed) * progress);
+    }
+}
+
+// ============================================================
+// PACING ENGINE
+// ============================================================
+
+class PacingEngine {
+    constructor(syllables, options = {}) {
+        this.syllables = syllables;
+        this.currentIndex = 0;
+        this.isPlaying = false;
+        this.isPaused = false;
+        this.speed = options.speed || 1000; // milliseconds per syllable
+        this.unit = options.unit || 'syllable'; // what one beat covers: 'syllable', 'word' or 'phrase'
+        this.stress = options.stress || []; // per-syllable stress (1 primary, 2 secondary, 0 none)
+        this.stressFactor = options.stressFactor || 1; // duration multiplier for primary-stressed syllables
+        this.boundaries = options.boundaries || []; // per-syllable pause rule id after the syllable, or null
+        this.wordFinal = options.wordFinal || []; // per-syllable flag for the last syllable of a word
+        this.wordStarts = options.wordStarts || []; // per-syllable flag for the first syllable of a word
+        this.pauseRules = options.pauseRules || null; // PauseRules settings for the two arrays above
+        this.program = options.program || null; // SpeedProgram that sets the speed from elapsed time
+        this.onSyllableChange = options.onSyllableChange || (() => {});
+        this.onSpeedChange = options.onSpeedChange || (() => {});
+        this.onLoopChange = options.onLoopChange || (() => {});
+        this.onBeatScheduled = options.onBeatScheduled || (() => {}); // (index, clock time due, duration)
+        this.onBeatCancelled = options.onBeatCancelled || (() => {});
+        this.onComplete = options.onComplete || (() => {});
+        this.now = options.now || (() => performance.now());
+        this.timeoutId = null;
+        this.startTime = 0; // clock reading at elapsed 0, moved forward by pauses
+        this.pausedTime = 0; // elapsed time frozen while paused or stopped
+        this.nextBeatAt = null; // elapsed time the syllable at currentIndex is due
+        this.cursor = 0; // syllable on screen: the last one played, or where seek() moved to
+        this.loop = null; // { start, end, repetitions, slowdown, repetition } while drilling a range
+        this.beatLog = []; // { index, end, scheduled, actual, duration, pause, skipped } per beat, in ms of elapsed time
+        this.beatLengths = []; // how many beats each syllable lasts, including any pause after it
+        this.currentSpeed = null; // speed of the last beat, to report program changes
+        this.updateBeatLengths();
+    }
+
+    start() {
+        if (this.isPlaying) return;
+
+        this.isPlaying = true;
+        this.isPaused = false;
+        this.startTime = this.now() - this.pausedTime;
+        this.scheduleBeat();
+    }
+
+    pause() {
+        if (!this.isPlaying || this.isPaused) return;
+
+        this.pausedTime = this.now() - this.startTime;
+        this.isPaused = true;
+        this.clearTimer();
+    }
+
+    resume() {
+        if (!this.isPaused) return;
+        this.isPlaying = true;
+        this.isPaused = false;
+        // Shift the start so the pause drops out of both elapsed time and the beat schedule
+        this.startTime = this.now() - this.pausedTime;
+        this.scheduleBeat();
+    }
+
+    reset() {
+        this.stop();
+        if (this.loop) this.clearLoop();
+        this.currentIndex = 0;
+        this.cursor = 0;
+        this.pausedTime = 0;
+        this.nextBeatAt = null;
+        this.currentSpeed = null;
+        this.beatLog = [];
+        this.onSyllableChange(0, this.syllables[0] || '');
+    }
+
+    stop() {
+        if (this.isPlaying && !this.isPaused) {
+            this.pausedTime = this.now() - this.startTime;
+        }
+        this.isPlaying = false;
+        this.isPaused = false;
+        this.clearTimer();
+    }
+
+    clearTimer() {
+        if (this.timeoutId) {
+            clearTimeout(this.timeoutId);
+            this.timeoutId = null;
+            this.onBeatCancelled();
+        }
+    }
+
+    scheduleBeat() {
+        // Beats are due at fixed offsets from the session start, so a late timer
+        // shortens the wait for the next beat instead of pushing every later beat back.
+        // A position restored from outside (or a fresh start) is due right away.
+        if (this.nextBeatAt === null || this.nextBeatAt < this.pausedTime) {
+            this.nextBeatAt = this.pausedTime;
+        }
+
+        const dueAt = this.startTime + this.nextBeatAt;
+        const delay = Math.max(0, dueAt - this.now());
+
+        // Announce the beat a whole beat early so audio can be queued on its own clock
+        if (this.currentIndex < this.syllables.length) {
+            this.onBeatScheduled(this.currentIndex, dueAt, this.getBeatDuration(this.currentIndex));
+        }
+
+        this.timeoutId = setTimeout(() => {
+            this.timeoutId = null;
+            if (this.isPlaying && !this.isPaused) {
+                this.highlightSyllable();
+            }
+        }, delay);
+    }
+
+    highlightSyllable() {
+        const elapsed = this.now() - this.startTime;
+
+        // Background tabs throttle timers to a second or more; skip the beats that
+        // already ended rather than rushing through them to catch up
+        while (this.getBeatEnd(this.currentIndex) < this.syllables.length - 1 &&
+               this.nextBeatAt + this.getBeatDuration(this.currentIndex) <= elapsed) {
+            this.beatLog.push({ index: this.currentIndex, scheduled: this.nextBeatAt, actual: null, skipped: true });
+            this.advance();
+        }
+
+        if (this.currentIndex >= this.syllables.length) {
+            this.stop();
+            this.onComplete();
+            return;
+        }
+
+        const speed = this.getSpeedAt(this.nextBeatAt);
+        if (speed !== this.currentSpeed) {
+            this.currentSpeed = speed;
+            this.onSpeedChange(speed);
+        }
+
+        const syllable = this.syllables[this.currentIndex];
+        this.beatLog.push({ ...this.describeBeat(this.currentIndex), scheduled: this.nextBeatAt, actual: elapsed, skipped: false });
+        this.cursor = this.currentIndex;
+        this.onSyllableChange(this.currentIndex, syllable);
+        this.advance();
+
+        if (this.isPlaying && !this.isPaused) {
+            this.scheduleBeat();
+        }
+    }
+
+    advance() {
+        // Move past the current beat, going round again at the end of a loop
+        const end = this.getBeatEnd(this.currentIndex);
+        this.nextBeatAt += this.getBeatDuration(this.currentIndex);
+        this.currentIndex = end + 1;
+
+        if (this.loop && this.currentIndex === this.loop.end + 1) {
+            if (this.loop.repetitions === 0 || this.loop.repetition < this.loop.repetitions) {
+                this.loop.repetition++;
+                this.currentIndex = this.loop.start;
+                this.onLoopChange(this.loop);
+            } else {
+                // Done drilling: carry on with the text after the loop
+                this.loop = null;
+                this.onLoopChange(null);
+            }
+        }
+    }
+
+    setLoop(start, end, options = {}) {
+        // Repeat syllables start..end `repetitions` times (0 = until cleared), each
+        // time `slowdown` times slower than the last, then move on; starts from `start`
+        const last = this.syllables.length - 1;
+        const from = Math.max(0, Math.min(start, end, last));
+        const to = Math.min(Math.max(start, end), last);
+
+        this.loop = {
+            start: from,
+            end: to,
+            repetitions: options.repetitions || 0,
+            slowdown: options.slowdown || 1,
+            repetition: 1
+        };
+        this.seek(from);
+        this.onLoopChange(this.loop);
+    }
+
+    clearLoop() {
+        this.loop = null;
+        this.onLoopChange(null);
+    }
+
+    getLoopFactor(index) {
+        // How much slower a syllable is paced on this repetition of the loop (at most twice)
+        if (!this.loop || index < this.loop.start || index > this.loop.end) return 1;
+        return Math.min(2, Math.pow(this.loop.slowdown, this.loop.repetition - 1));
+    }
+
+    seek(index) {
+        // Move the cursor to a syllable; it plays next (straight away if practice is
+        // running). Elapsed time carries on, so the timer and speed program don't jump
+        const target = Math.max(0, Math.min(index, this.syllables.length - 1));
+        this.cursor = target;
+        this.currentIndex = target;
+        this.clearTimer();
+
+        if (this.isPlaying && !this.isPaused) {
+            this.nextBeatAt = this.now() - this.startTime;
+            this.scheduleBeat();
+        } else {
+            this.nextBeatAt = this.pausedTime;
+        }
+        return target;
+    }
+
+    seekTo(unit, index) {
+        // Seek to the start of the word, sentence or paragraph containing a syllable
+        return this.seek(this.findUnitStart(unit, index));
+    }
+
+    step(unit, direction) {
+        // Move one syllable, word, sentence or paragraph forward (1) or back (-1) while
+        // paused or stopped; going back from inside a unit returns to its start first
+        if (this.isPlaying && !this.isPaused) return null;
+        return this.seek(this.findUnitStart(unit, this.cursor, direction));
+    }
+
+    findUnitStart(unit, index, direction = 0) {
+        // Start of the unit containing `index`, or of the next/previous one
+        if (direction > 0) {
+            for (let i = index + 1; i < this.syllables.length; i++) {
+                if (this.isUnitStart(unit, i)) return i;
+            }
+            return index; // already in the last unit
+        }
+
+        let i = direction < 0 ? index - 1 : index;
+        while (i > 0 && !this.isUnitStart(unit, i)) i--;
+        return Math.max(0, i);
+    }
+
+    findUnitEnd(unit, index) {
+        // Last syllable of the unit containing `index`
+        const next = this.findUnitStart(unit, index, 1);
+        return next > index ? next - 1 : this.syllables.length - 1;
+    }
+
+    isUnitStart(unit, index) {
+        // Phrase, sentence and paragraph starts follow the pause boundaries, whatever their lengths
+        if (index <= 0) return true;
+        const before = this.boundaries[index - 1];
+        switch (unit) {
+            case 'word': return Boolean(this.wordStarts[index]);
+            case 'phrase': return Boolean(before);
+            case 'sentence': return before === 'sentence' || before === 'paragraph';
+            case 'paragraph': return before === 'paragraph';
+            default: return true;
+        }
+    }
+
+    getNextBeat() {
+        // The syllable due next and when (elapsed ms), to plan ahead from the current position
+        return {
+            index: this.currentIndex,
+            at: this.nextBeatAt === null ? this.pausedTime : this.nextBeatAt
+        };
+    }
+
+    updateBeatLengths() {
+        // Rebuild the per-syllable lengths (in beats) after stress or pause settings change.
+        // A syllable's beat is held longer when stressed or word-final, and the pause
+        // after it is added on, so the highlight rests on the last word through a break.
+        // Lengths are multiplied by the speed when played, so speed changes need no rebuild
+        const finalFactor = this.pauseRules ? this.pauseRules.getWordFinalFactor() : 1;
+
+        this.beatLengths = this.syllables.map((syllable, i) => {
+            let length = 1;
+            if (this.stress[i] === 1) length *= this.stressFactor;
+            if (this.wordFinal[i]) length *= finalFactor;
+            if (this.pauseRules) length += this.pauseRules.getPauseBeats(this.boundaries[i]);
+            return length;
+        });
+    }
+
+    getSpeedAt(elapsed) {
+        // Milliseconds per beat at a point in the session
+        return this.program ? this.program.speedAt(elapsed) : this.speed;
+    }
+
+    getSyllableDuration(index, at = this.nextBeatAt || 0) {
+        return this.beatLengths[index] * this.getSpeedAt(at) * this.getLoopFactor(index);
+    }
+
+    getBeatEnd(index) {
+        // Last syllable highlighted together with `index` at the current pacing unit;
+        // a loop's end also ends the beat so repetitions start on time
+        if (this.unit === 'syllable') return index;
+
+        const end = this.findUnitEnd(this.unit, index);
+        if (this.loop && index >= this.loop.start && index <= this.loop.end) {
+            return Math.min(end, this.loop.end);
+        }
+        return end;
+    }
+
+    getPauseDuration(index, at = this.nextBeatAt || 0) {
+        // The part of a syllable's beat that is the pause after it (silence, not speech)
+        if (!this.pauseRules) return 0;
+        return this.pauseRules.getPauseBeats(this.boundaries[index]) * this.getSpeedAt(at) * this.getLoopFactor(index);
+    }
+
+    describeBeat(index, at = this.nextBeatAt || 0) {
+        // The syllables a beat covers and how long it lasts, pause included
+        const end = this.getBeatEnd(index);
+        return {
+            index: index,
+            end: end,
+            duration: this.getBeatDuration(index, at),
+            pause: this.getPauseDuration(end, at)
+        };
+    }
+
+    planBeats() {
+        // The beats from the start at the current settings, timed as if played straight
+        // through; `actual` matches the beat log so plans and sessions compare alike
+        const beats = [];
+        let at = 0;
+        let index = 0;
+        while (index < this.syllables.length) {
+            const beat = this.describeBeat(index, at);
+            beats.push({ ...beat, scheduled: at, actual: at, skipped: false });
+            at += beat.duration;
+            index = beat.end + 1;
+        }
+        return beats;
+    }
+
+    getBeatDuration(index, at = this.nextBeatAt || 0) {
+        // A word or phrase lasts as long as its syllables (and the pause after it)
+        // would one by one, so the syllable rate is the same at every unit
+        const end = this.getBeatEnd(index);
+        let total = 0;
+        for (let i = index; i <= end; i++) {
+            total += this.getSyllableDuration(i, at);
+        }
+        return total;
+    }
+
+    getDuration(count = this.syllables.length, from = 0, at = 0) {
+        // Time to pace syllables `from` up to `count` at the current settings,
+        // starting `at` that far into the session
+        let total = 0;
+        for (let i = from; i < Math.min(count, this.beatLengths.length); i++) {
+            total += this.getSyllableDuration(i, at + total);
+        }
+        return total;
+    }
+
+    getSyllablesWithin(duration, from = 0, at = 0) {
+        // Index of the first syllable that doesn't fit into `duration` when pacing from
+        // syllable `from` at session time `at`, pauses and program included
+        let total = 0;
+        for (let i = from; i < this.beatLengths.length; i++) {
+            total += this.getSyllableDuration(i, at + total);
+            if (total > duration) return i;
+        }
+        return this.syllables.length;
+    }
+
+    setSpeed(speed) {
+        this.speed = speed;
+    }
+
+    setUnit(unit) {
+        this.unit = unit;
+    }
+
+    setStressFactor(factor) {
+        this.stressFactor = factor;
+        this.updateBeatLengths();
+    }
+
+    setProgram(program) {
+        this.program = program;
+    }
+
+    getProgress() {
+        return {
+            current: this.cursor,
+            total: this.syllables.length,
+            percentage: this.syllables.length > 0
+                ? Math.round((this.cursor / this.syllables.length) * 100)
+                : 0
+        };
+    }
+
+    getElapsedTime() {
+        // Read from the same clock as the beat schedule so the timer never disagrees with it
+        if (!this.isPlaying || this.isPaused) return this.pausedTime;
+        return this.now() - this.startTime;
+    }
+
+    getTimingReport() {
+        // How closely the beats landed on their schedule; drift is the last beat's lateness
+        const played = this.beatLog.filter(beat => !beat.skipped);
+        const lateness = played.map(beat => beat.actual - beat.scheduled);
+        const last = lateness.length > 0 ? lateness[lateness.length - 1] : 0;
+
+        return {
+            beats: played.length,
+            skipped: this.beatLog.length - played.length,
+            meanLateness: lateness.length > 0
+                ? lateness.reduce((sum, value) => sum + value, 0) / lateness.length
+                : 0,
+            maxLateness: lateness.length > 0 ? Math.max(...lateness) : 0,
+            drift: last
+        };
+    }
+}
+
+// ============================================================
+// METRONOME
+// ============================================================
+
+class Metronome {
+    // Web Audio cue for each beat. Beats are queued on the audio clock as soon as the
+    // pacing engine schedules them (a beat ahead), converted from performance.now()
+    // time and allowing for output latency, so the sound lands with the highlight
+    // instead of trailing it by the timer and audio delays.
+    static SOUNDS = [
+        { id: 'off', label: 'Off' },
+        { id: 'click', label: 'Click' },
+        { id: 'woodblock', label: 'Wood block' },
+        { id: 'tone', label: 'Soft tone (held for the beat)' }
+    ];
+
+    constructor() {
+        const saved = StoredSettings.read('metronome', {});
+        this.sound = Metronome.SOUNDS.some(sound => sound.id === saved.sound) ? saved.sound : 'off';
+        this.volume = typeof saved.volume === 'number' ? saved.volume : 0.5;
+        this.accent = saved.accent !== false; // louder, higher cue on the first syllable of a word
+        this.context = null;
+        this.queued = []; // { oscillator, gain } waiting to play, dropped if their beat is cancelled
+    }
+
+    isEnabled() {
+        return this.sound !== 'off';
+    }
+
+    setSound(sound) {
+        this.sound = sound;
+        this.save();
+    }
+
+    setVolume(volume) {
+        this.volume = volume;
+        this.save();
+    }
+
+    setAccent(accent) {
+        this.accent = accent;
+        this.save();
+    }
+
+    save() {
+        localStorage.setItem('metronome', JSON.stringify({
+            sound: this.sound,
+            volume: this.volume,
+            accent: this.accent
+        }));
+    }
+
+    ensureContext() {
+        // Browsers only allow audio to start from a user gesture, so this is called
+        // from the Start/Resume controls rather than when the page loads
+        if (!this.context) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContextClass) return null;
+            this.context = new AudioContextClass();
+        }
+        if (this.context.state === 'suspended') {
+            this.context.resume().catch((error) => {
+                console.log('ℹ️ Audio could not resume:', error.message);
+            });
+        }
+        return this.context;
+    }
+
+    toContextTime(clockTime) {
+        // Map a performance.now() time onto the audio clock; the output timestamp
+        // pairs the sample being heard right now with its performance.now() time
+        const context = this.context;
+        if (typeof context.getOutputTimestamp === 'function') {
+            const stamp = context.getOutputTimestamp();
+            if (stamp.performanceTime) {
+                return stamp.contextTime + (clockTime - stamp.performanceTime) / 1000;
+            }
+        }
+        return context.currentTime + (clockTime - performance.now()) / 1000;
+    }
+
+    schedule(clockTime, duration, accent) {
+        if (!this.isEnabled() || !this.context) return;
+
+        const context = this.context;
+        const when = Math.max(context.currentTime, this.toContextTime(clockTime));
+        const level = this.volume * (accent ? 1 : 0.6);
+        const oscillator = context.createOscillator();
+        const gain = context.createGain();
+        let end;
+
+        if (this.sound === 'tone') {
+            // Soft sine held for most of the beat, with gentle edges so it doesn't click
+            end = when + Math.max(0.08, (duration / 1000) * 0.9);
+            oscillator.type = 'sine';
+            oscillator.frequency.value = accent ? 523.25 : 440;
+            gain.gain.setValueAtTime(0, when);
+            gain.gain.linearRampToValueAtTime(level * 0.5, when + 0.02);
+            gain.gain.setValueAtTime(level * 0.5, end - 0.04);
+            gain.gain.linearRampToValueAtTime(0, end);
+        } else {
+            const woodblock = this.sound === 'woodblock';
+            end = when + (woodblock ? 0.08 : 0.03);
+            oscillator.type = woodblock ? 'triangle' : 'square';
+            oscillator.frequency.value = woodblock ? (accent ? 1200 : 800) : (accent ? 2000 : 1500);
+            gain.gain.setValueAtTime(level, when);
+            gain.gain.exponentialRampToValueAtTime(0.001, end);
+        }
+
+        oscillator.connect(gain);
+        gain.connect(context.destination);
+        oscillator.start(when);
+        oscillator.stop(end);
+
+        const entry = { oscillator, gain };
+        this.queued.push(entry);
+        oscillator.onended = () => {
+            this.queued = this.queued.filter(queued => queued !== entry);
+        };
+    }
+
+    cancel() {
+        // Drop beats queued ahead when practice is paused, stopped or the cursor moves
+        this.queued.forEach(({ gain }) => gain.disconnect());
+        this.queued = [];
+    }
+}
+
+// ============================================================
+// MODEL READING
+// ============================================================
+
+class SpeechModel {
+    // Reads the text aloud with the Web Speech synthesis API as a model to imitate.
+    // Each beat's syllable, word or phrase is spoken as it's highlighted, slowed so
+    // it stretches over the speaking part of the beat. With no speech synthesis (or
+    // no voices installed) nothing is spoken and pacing carries on silently.
+    static NATURAL_SYLLABLE_MS = 200; // roughly how long a syllable takes at rate 1
+    static MIN_RATE = 0.1;
+    static MAX_RATE = 2;
+
+    constructor() {
+        const saved = StoredSettings.read('modelReading', {});
+        this.enabled = saved.enabled === true;
+        this.voiceURI = saved.voice || ''; // '' picks a voice for the article's language
+        this.synth = typeof speechSynthesis !== 'undefined' ? speechSynthesis : null;
+        this.failed = false; // set when the synthesizer errors; stays silent from then on
+        this.onUnavailable = () => {};
+    }
+
+    getVoices() {
+        return this.synth ? this.synth.getVoices() : [];
+    }
+
+    isAvailable() {
+        return !this.failed && this.getVoices().length > 0;
+    }
+
+    isActive() {
+        return this.enabled && this.isAvailable();
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.save();
+        if (!enabled) this.cancel();
+    }
+
+    setVoice(voiceURI) {
+        this.voiceURI = voiceURI;
+        this.save();
+    }
+
+    save() {
+        localStorage.setItem('modelReading', JSON.stringify({
+            enabled: this.enabled,
+            voice: this.voiceURI
+        }));
+    }
+
+    findVoice(language) {
+        // The chosen voice, else the browser's voice for the language (its default first)
+        const voices = this.getVoices();
+        const chosen = voices.find(voice => voice.voiceURI === this.voiceURI);
+        if (chosen) return chosen;
+
+        const matching = voices.filter(voice => voice.lang.toLowerCase().startsWith(language));
+        return matching.find(voice => voice.default) || matching[0] || null;
+    }
+
+    speak(text, syllableCount, duration, language) {
+        if (!this.isActive() || !text) return;
+
+        const utterance = new SpeechSynthesisUtterance(text);
+        const voice = this.findVoice(language);
+        if (voice) utterance.voice = voice;
+        utterance.lang = voice ? voice.lang : language;
+
+        const rate = syllableCount * SpeechModel.NATURAL_SYLLABLE_MS / duration;
+        utterance.rate = Math.max(SpeechModel.MIN_RATE, Math.min(SpeechModel.MAX_RATE, rate));
+
+        utterance.onerror = (event) => {
+            // Cutting off the last beat's words (or pausing) isn't a failure
+            if (event.error === 'interrupted' || event.error === 'canceled') return;
+            this.failed = true;
+            this.onUnavailable(event.error);
+        };
+
+        // Anything still being said belongs to the last beat: drop it to stay in step
+        this.synth.cancel();
+        this.synth.speak(utterance);
+    }
+
+    cancel() {
+        if (this.synth) this.synth.cancel();
+    }
+}
+
+// ============================================================
+// PHONATION TRACKING
+// ============================================================
+
+class MicrophoneInput {
+    // One microphone stream shared by phonation tracking and session recording, so the
+    // browser prompts once and both hear the same audio. Each user acquires it and
+    // releases it when done; the tracks stop when the last one lets go
+    constructor() {
+        this.stream = null;
+        this.pending = null; // getUserMedia still waiting on the permission prompt
+        this.users = 0;
+    }
+
+    async acquire() {
+        this.users++;
+        try {
+            if (this.stream) return this.stream;
+            if (!this.pending) {
+                // Echo cancellation keeps the metronome out of the signal; automatic
+                // gain would lift the room noise between words and blur the pauses
+                this.pending = navigator.mediaDevices.getUserMedia({
+                    audio: { echoCancellation: true, noiseSuppression: true, autoGainControl: false }
+                }).finally(() => {
+                    this.pending = null;
+                });
+            }
+            const stream = await this.pending;
+            if (!this.stream) this.stream = stream;
+            return this.stream;
+        } catch (error) {
+            this.users--;
+            throw error;
+        }
+    }
+
+    release() {
+        if (this.users === 0) return;
+        this.users--;
+        if (this.users === 0 && this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+    }
+}
+
+class VoiceActivityDetector {
+    // Energy-based voice activity. A frame is voiced when its level is well above the
+    // noise floor (the quietest recent frame) and its zero-crossing rate is low enough
+    // for voicing rather than hiss; short dropouts are bridged so one syllable isn't
+    // split in two
+    static FRAME_MS = 20;
+    static THRESHOLD = 3; // level must be this many times the noise floor (about 10 dB)
+    static MIN_LEVEL = 0.005; // anything quieter is silence whatever the floor
+    static MAX_ZCR = 0.2; // share of samples crossing zero; above this is noise or fricatives
+    static HANGOVER_MS = 120;
+    static FLOOR_WINDOW_MS = 10000;
+
+    constructor() {
+        this.levels = []; // { time, rms } of recent frames, for the noise floor
+        this.firstTime = null;
+        this.segments = []; // { start, end } voiced stretches, in ms on the caller's clock
+    }
+
+    getNoiseFloor(time) {
+        let floor = Math.min(...this.levels.map(level => level.rms));
+        // Speech may start straight away, so until a full window has been heard
+        // assume a quiet room rather than taking the first words as the floor
+        if (time - this.firstTime < VoiceActivityDetector.FLOOR_WINDOW_MS) {
+            floor = Math.min(floor, VoiceActivityDetector.MIN_LEVEL / VoiceActivityDetector.THRESHOLD);
+        }
+        return floor;
+    }
+
+    static measure(samples) {
+        let sum = 0;
+        let crossings = 0;
+        for (let i = 0; i < samples.length; i++) {
+            sum += samples[i] * samples[i];
+            if (i > 0 && (samples[i] >= 0) !== (samples[i - 1] >= 0)) crossings++;
+        }
+        return {
+            rms: Math.sqrt(sum / Math.max(1, samples.length)),
+            zcr: crossings / Math.max(1, samples.length)
+        };
+    }
+
+    push(time, samples, duration = VoiceActivityDetector.FRAME_MS) {
+        const { rms, zcr } = VoiceActivityDetector.measure(samples);
+        if (this.firstTime === null) this.firstTime = time;
+
+        this.levels.push({ time, rms });
+        while (this.levels[0].time < time - VoiceActivityDetector.FLOOR_WINDOW_MS) {
+            this.levels.shift();
+        }
+
+        const floor = this.getNoiseFloor(time);
+        const voiced = rms > Math.max(VoiceActivityDetector.MIN_LEVEL, floor * VoiceActivityDetector.THRESHOLD) &&
+            zcr < VoiceActivityDetector.MAX_ZCR;
+
+        if (voiced) {
+            const last = this.segments[this.segments.length - 1];
+            if (last && time - last.end <= VoiceActivityDetector.HANGOVER_MS) {
+                last.end = time + duration;
+            } else {
+                this.segments.push({ start: time, end: time + duration });
+            }
+        }
+        return voiced;
+    }
+}
+
+class PhonationTracker {
+    // Listens to the microphone during practice and records voiced stretches on the
+    // session clock (elapsed practice time), so they line up with the pacing engine's
+    // beat log. Frames are skipped while `clock` returns null (paused)
+    constructor(microphone) {
+        this.microphone = microphone;
+        this.detector = new VoiceActivityDetector();
+        this.stream = null;
+        this.context = null;
+        this.intervalId = null;
+        this.starting = null; // start() still waiting on the permission prompt
+        this.generation = 0; // bumped by stop(), so a start that was waiting knows it's been cancelled
+    }
+
+    isRunning() {
+        return this.stream !== null || this.starting !== null;
+    }
+
+    start(clock) {
+        // A second start while the first waits for permission shares its promise
+        if (this.starting) return this.starting;
+        if (this.stream) return Promise.resolve();
+
+        const starting = this.listen(clock, this.generation).finally(() => {
+            if (this.starting === starting) this.starting = null;
+        });
+        this.starting = starting;
+        return starting;
+    }
+
+    async listen(clock, generation) {
+        let stream;
+        try {
+            stream = await this.microphone.acquire();
+        } catch (error) {
+            // A refusal only matters to a start that hasn't been cancelled since
+            if (generation !== this.generation) return;
+            throw error;
+        }
+        if (generation !== this.generation) {
+            // Stopped while the permission prompt was open
+            this.microphone.release();
+            return;
+        }
+
+        this.stream = stream;
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        this.context = new AudioContextClass();
+
+        const analyser = this.context.createAnalyser();
+        analyser.fftSize = 1024;
+        this.context.createMediaStreamSource(this.stream).connect(analyser);
+
+        const buffer = new Float32Array(analyser.fftSize);
+        const frameMs = (analyser.fftSize / this.context.sampleRate) * 1000;
+        this.intervalId = setInterval(() => {
+            const time = clock();
+            if (time === null) return;
+            analyser.getFloatTimeDomainData(buffer);
+            this.detector.push(time - frameMs, buffer, frameMs);
+        }, VoiceActivityDetector.FRAME_MS);
+    }
+
+    stop() {
+        this.generation++;
+        this.starting = null;
+        if (this.intervalId) {
+            clearInterval(this.intervalId);
+            this.intervalId = null;
+        }
+        if (this.stream) {
+            this.microphone.release();
+            this.stream = null;
+        }
+        if (this.context) {
+            this.context.close();
+            this.context = null;
+        }
+    }
+
+    clear() {
+        this.detector = new VoiceActivityDetector();
+    }
+
+    getSegments() {
+        return this.detector.segments;
+    }
+
+    static async analyzeFile(file) {
+        // Run the same detection over a recording, taking its start as the session
+        // start; lets the analysis be checked without a live microphone
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        const context = new AudioContextClass();
+        let audio;
+        try {
+            audio = await context.decodeAudioData(await file.arrayBuffer());
+        } finally {
+            context.close();
+        }
+
+        const samples = audio.getChannelData(0);
+        const frameSize = Math.round((audio.sampleRate * VoiceActivityDetector.FRAME_MS) / 1000);
+        const detector = new VoiceActivityDetector();
+        for (let offset = 0; offset + frameSize <= samples.length; offset += frameSize) {
+            detector.push((offset / audio.sampleRate) * 1000, samples.subarray(offset, offset + frameSize));
+        }
+        return detector.segments;
+    }
+}
+
+class PhonationReport {
+    // Lines voiced stretches up with the beats and sums them per sentence. Only the
+    // speaking part of each beat counts; the pauses after punctuation are for breathing
+    static MIN_GAP_MS = 250; // silences shorter than this inside speech aren't counted as gaps
+
+    static build(engine, beats, segments, until = Infinity) {
+        // `until` cuts the last beats short when a session is paused part-way through one
+        const sentences = [];
+        beats.filter(beat => !beat.skipped).forEach(beat => {
+            const start = engine.findUnitStart('sentence', beat.index);
+            let sentence = sentences[sentences.length - 1];
+            if (!sentence || sentence.start !== start) {
+                sentence = { start: start, end: engine.findUnitEnd('sentence', start), beats: [] };
+                sentences.push(sentence);
+            }
+            sentence.beats.push(beat);
+        });
+
+        return sentences.map(sentence => PhonationReport.measureSentence(sentence, segments, until));
+    }
+
+    static measureSentence(sentence, segments, until) {
+        // Speaking windows: each beat without its trailing pause, merged where they touch
+        const spans = [];
+        let syllables = 0;
+        sentence.beats.forEach(beat => {
+            syllables += beat.end - beat.index + 1;
+            const span = { start: beat.actual, end: Math.min(until, beat.actual + beat.duration - beat.pause) };
+            if (span.end <= span.start) return;
+            const last = spans[spans.length - 1];
+            if (last && span.start - last.end < 1) {
+                last.end = span.end;
+            } else {
+                spans.push(span);
+            }
+        });
+
+        let planned = 0;
+        let voiced = 0;
+        let gaps = 0;
+        spans.forEach(span => {
+            planned += span.end - span.start;
+            let covered = span.start;
+            for (let i = PhonationReport.firstSegmentEndingAfter(segments, span.start); i < segments.length; i++) {
+                const segment = segments[i];
+                if (segment.start >= span.end) break;
+                const start = Math.max(segment.start, span.start);
+                const end = Math.min(segment.end, span.end);
+                voiced += end - start;
+                if (start - covered >= PhonationReport.MIN_GAP_MS) gaps++;
+                covered = Math.max(covered, end);
+            }
+            if (span.end - covered >= PhonationReport.MIN_GAP_MS) gaps++;
+        });
+
+        return {
+            start: sentence.start,
+            end: sentence.end,
+            syllables: syllables,
+            voicedRatio: planned > 0 ? voiced / planned : 0,
+            gaps: gaps,
+            // Syllables per second of voicing, against the pace's syllables per second of speaking time
+            rate: voiced > 0 ? syllables / (voiced / 1000) : null,
+            targetRate: planned > 0 ? syllables / (planned / 1000) : null
+        };
+    }
+
+    static firstSegmentEndingAfter(segments, time) {
+        // Binary search; segments are in time order and don't overlap
+        let low = 0;
+        let high = segments.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (segments[mid].end <= time) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return low;
+    }
+}
+
+// ============================================================
+// DISFLUENCY TALLY
+// ============================================================
+
+class DisfluencyTally {
+    // Stutters tagged on the highlighted syllable during practice, for percent
+    // syllables stuttered (%SS): tagged syllables per hundred syllables paced
+    static TYPES = [
+        { id: 'unspecified', label: 'Stutter', key: 'd' },
+        { id: 'block', label: 'Block', key: 'b' },
+        { id: 'repetition', label: 'Repetition', key: 'r' },
+        { id: 'prolongation', label: 'Prolongation', key: 'p' }
+    ];
+
+    constructor() {
+        this.events = []; // { index, type, beat } in the order they were tagged
+    }
+
+    clear() {
+        this.events = [];
+    }
+
+    tag(index, type, beat) {
+        // Tagging the same beat again changes its type, so a stutter can be marked
+        // straight away and classified a moment later
+        const last = this.events[this.events.length - 1];
+        if (last && last.index === index && last.beat === beat) {
+            last.type = type;
+            return last;
+        }
+        const event = { index, type, beat };
+        this.events.push(event);
+        return event;
+    }
+
+    untagLast() {
+        return this.events.pop() || null;
+    }
+
+    typeAt(index) {
+        // The most recent tag on a syllable (a looped syllable can be tagged more than once)
+        for (let i = this.events.length - 1; i >= 0; i--) {
+            if (this.events[i].index === index) return this.events[i].type;
+        }
+        return null;
+    }
+
+    remap(mapIndex) {
+        this.events.forEach(event => {
+            event.index = mapIndex(event.index);
+        });
+    }
+
+    static build(engine, beats, events, elapsed) {
+        // Syllables paced (repeats included) per sentence, in the order sentences were first read
+        const sentences = new Map();
+        let syllables = 0;
+        beats.filter(beat => !beat.skipped).forEach(beat => {
+            const count = beat.end - beat.index + 1;
+            const start = engine.findUnitStart('sentence', beat.index);
+            if (!sentences.has(start)) {
+                sentences.set(start, { start: start, end: engine.findUnitEnd('sentence', start), syllables: 0, disfluencies: 0 });
+            }
+            sentences.get(start).syllables += count;
+            syllables += count;
+        });
+
+        const byType = {};
+        events.forEach(event => {
+            byType[event.type] = (byType[event.type] || 0) + 1;
+            const sentence = sentences.get(engine.findUnitStart('sentence', event.index));
+            if (sentence) sentence.disfluencies++;
+        });
+
+        const percent = (count, total) => (total > 0 ? count / total * 100 : 0);
+        return {
+            syllables: syllables,
+            disfluencies: events.length,
+            percentSS: percent(events.length, syllables),
+            perMinute: elapsed > 0 ? events.length / (elapsed / 60000) : 0,
+            byType: byType,
+            sentences: [...sentences.values()].map(sentence => ({
+                ...sentence,
+                percentSS: percent(sentence.disfluencies, sentence.syllables)
+            }))
+        };
+    }
+}
+
+// ============================================================
+// SESSION RECORDING
+// ============================================================
+
+class SessionRecorder {
+    // Records the microphone with MediaRecorder while practice runs. It pauses with
+    // the session, so a time in the recording is elapsed practice time minus
+    // `startElapsed` and the engine's beat log can be replayed against it
+    constructor(microphone) {
+        this.microphone = microphone;
+        this.recorder = null;
+        this.stream = null;
+        this.finished = null; // resolves with the Blob once the recorder has stopped
+        this.startElapsed = 0;
+        this.starting = null; // start() still waiting on the permission prompt
+        this.generation = 0; // bumped by stop(), so a start that was waiting knows it's been cancelled
+    }
+
+    isRecording() {
+        return this.recorder !== null || this.starting !== null;
+    }
+
+    start(clock) {
+        if (this.starting) return this.starting;
+        if (this.recorder) return Promise.resolve();
+
+        const starting = this.record(clock, this.generation).finally(() => {
+            if (this.starting === starting) this.starting = null;
+        });
+        this.starting = starting;
+        return starting;
+    }
+
+    async record(clock, generation) {
+        let stream;
+        try {
+            stream = await this.microphone.acquire();
+        } catch (error) {
+            if (generation !== this.generation) return;
+            throw error;
+        }
+        if (generation !== this.generation) {
+            // Stopped (practice reset or finished) while the permission prompt was open
+            this.microphone.release();
+            return;
+        }
+
+        // Each recorder keeps its own chunks, so data still arriving from a stopped
+        // session can't end up in the next one
+        const chunks = [];
+        const recorder = new MediaRecorder(stream);
+        recorder.ondataavailable = (event) => {
+            if (event.data.size > 0) chunks.push(event.data);
+        };
+        this.finished = new Promise((resolve) => {
+            recorder.onstop = () => {
+                this.microphone.release();
+                resolve(new Blob(chunks, { type: recorder.mimeType }));
+            };
+        });
+        this.stream = stream;
+        this.recorder = recorder;
+        this.recorder.start(1000);
+        // Taken once recording has begun, after any permission prompt
+        this.startElapsed = clock();
+    }
+
+    pause() {
+        if (this.recorder && this.recorder.state === 'recording') {
+            this.recorder.pause();
+        }
+    }
+
+    resume() {
+        if (this.recorder && this.recorder.state === 'paused') {
+            this.recorder.resume();
+        }
+    }
+
+    stop() {
+        // Resolves with the recording as a Blob (null if nothing was recording)
+        this.generation++;
+        this.starting = null;
+        if (!this.recorder) return Promise.resolve(null);
+
+        const recorder = this.recorder;
+        const finished = this.finished;
+        this.recorder = null;
+        this.stream = null;
+        this.finished = null;
+
+        recorder.stop();
+        return finished;
+    }
+
+    static beatAt(beats, time) {
+        // Index of the last beat starting at or before `time` (-1 before the first);
+        // beats are in time order
+        let low = 0;
+        let high = beats.length - 1;
+        let found = -1;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (beats[mid].time <= time) {
+                found = mid;
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return found;
+    }
+}
+
+class RecordingStore {
+    // Saved sessions in IndexedDB: { id, createdAt, article: { title, url },
+    // syllableCount, beats: [{ index, end, time }], duration, blob }. Nothing leaves the browser
+    static DB_NAME = 'magpie-talk';
+    static STORE = 'recordings';
+    static VERSION = 1;
+
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(RecordingStore.DB_NAME, RecordingStore.VERSION);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(RecordingStore.STORE, { keyPath: 'id', autoIncrement: true });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async run(mode, action) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(RecordingStore.STORE, mode);
+            const request = action(transaction.objectStore(RecordingStore.STORE));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    add(recording) {
+        return this.run('readwrite', store => store.add(recording));
+    }
+
+    get(id) {
+        return this.run('readonly', store => store.get(id));
+    }
+
+    remove(id) {
+        return this.run('readwrite', store => store.delete(id));
+    }
+
+    async list() {
+        // Newest first
+        const recordings = await this.run('readonly', store => store.getAll());
+        return recordings.sort((a, b) => b.createdAt - a.createdAt);
+    }
+}
+
+// ============================================================
+// THEME MANAGER
+// ============================================================
+
+class ThemeManager {
+    constructor() {
+        this.currentTheme = localStorage.getItem('theme') || this.getSystemTheme();
+        this.applyTheme(this.currentTheme);
+    }
+
+    getSystemTheme() {
+        if (window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches) {
+            return 'dark';
+        }
+        return 'light';
+    }
+
+    toggle() {
+        this.currentTheme = this.currentTheme === 'light' ? 'dark' : 'light';
+        this.applyTheme(this.currentTheme);
+    }
+
+    applyTheme(theme) {
+        document.documentElement.setAttribute('data-theme', theme);
+        localStorage.setItem('theme', theme);
+        this.updateThemeIcon();
+    }
+
+    updateThemeIcon() {
+        const icon = document.querySelector('.theme-icon');
+        if (icon) {
+            icon.textContent = this.currentTheme === 'dark' ? '☀️' : '🌙';
+        }
+    }
+}
+
+// ============================================================
+// FONT SIZE MANAGER
+// ============================================================
+
+class FontSizeManager {
+    constructor() {
+        this.currentSize = localStorage.getItem('fontSize') || 'medium';
+        this.applyFontSize(this.currentSize);
+    }
+
+    setSize(size) {
+        this.currentSize = size;
+        this.applyFontSize(size);
+    }
+
+    applyFontSize(size) {
+        document.documentElement.setAttribute('data-font-size', size);
+        localStorage.setItem('fontSize', size);
+    }
+}
+
+// ============================================================
+// LANGUAGE MANAGER
+// ============================================================
+
+class LanguageManager {
+    constructor() {
+        const saved = localStorage.getItem('language');
+        this.currentLanguage = LANGUAGES[saved] ? saved : DEFAULT_LANGUAGE;
+        this.applyLanguage(this.currentLanguage);
+    }
+
+    setLanguage(language) {
+        this.currentLanguage = LANGUAGES[language] ? language : DEFAULT_LANGUAGE;
+        this.applyLanguage(this.currentLanguage);
+    }
+
+    applyLanguage(language) {
+        // Wikipedia host, featured feed and cache keys all follow WikipediaService.language
+        WikipediaService.setLanguage(language);
+        document.documentElement.setAttribute('lang', language);
+        localStorage.setItem('language', language);
+    }
+}
+
+// ============================================================
+// MESH MODE MANAGER
+// ============================================================
+
+class MeshModeManager {
+    constructor() {
+        this.currentMode = localStorage.getItem('meshMode') || 'off';
+        this.applyMeshMode(this.currentMode);
+    }
+
+    toggle() {
+        this.currentMode = this.currentMode === 'off' ? 'on' : 'off';
+        this.applyMeshMode(this.currentMode);
+        this.updateMeshIcon();
+    }
+
+    applyMeshMode(mode) {
+        document.documentElement.setAttribute('data-mesh-mode', mode);
+        localStorage.setItem('meshMode', mode);
+    }
+
+    updateMeshIcon() {
+        const icon = document.querySelector('.mesh-icon');
+        if (icon) {
+            icon.textContent = this.currentMode === 'on' ? '✨' : '✨';
+        }
+    }
+}
+
+// ============================================================
+// ARTICLE VIEW
+// ============================================================
+
+class ArticleView {
+    // Renders the article text in blocks of a few paragraphs. A "live" block has a
+    // span per syllable (for highlighting, clicking and the target marker); the rest
+    // are plain text, which keeps the layout, scroll height and find-in-page the same
+    // without holding tens of thousands of spans. Long articles only keep the blocks
+    // around the pacing position, the target marker and the viewport live
+    static BLOCK_SYLLABLES = 300;   // blocks end at the first paragraph break after this
+    static LIVE_LIMIT = 5000;       // articles up to this many syllables stay fully live
+    static WINDOW_BLOCKS = 2;       // live blocks either side of the current one
+
+    constructor() {
+        this.observer = null;
+        this.clear();
+    }
+
+    clear() {
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+        this.element = null;
+        this.wordMap = [];
+        this.headings = [];
+        this.blocks = [];
+        this.pendingWord = 0;           // first word not yet in a block
+        this.syllableElements = [];     // span per syllable index, for live blocks only
+        this.focusBlock = 0;
+        this.pinnedBlock = -1;
+        this.visibleBlocks = new Set();
+        this.marks = new Map();         // syllable index -> disfluency type
+        // Without IntersectionObserver there's no way to notice scrolling: keep everything live
+        this.virtualize = typeof IntersectionObserver !== 'undefined';
+    }
+
+    createElement() {
+        // The paragraph holding the article text; blocks are inline so the text flows as one
+        this.clear();
+        this.element = document.createElement('p');
+        this.element.className = 'article-text';
+
+        if (this.virtualize) {
+            // The page scrolls rather than the article section (it grows with its
+            // text), so blocks are watched against the viewport
+            this.observer = new IntersectionObserver(entries => this.onBlocksIntersect(entries), {
+                root: null,
+                rootMargin: '100% 0px'
+            });
+        }
+        return this.element;
+    }
+
+    get syllableCount() {
+        const last = this.wordMap[this.wordMap.length - 1];
+        return last ? last.endIndex + 1 : 0;
+    }
+
+    isFullyLive() {
+        return !this.virtualize || this.syllableCount <= ArticleView.LIVE_LIMIT;
+    }
+
+    async append(wordMap, headings = []) {
+        // Add parsed words (all at once or as streamed chunks) and render the blocks they complete
+        wordMap.forEach(wordInfo => this.wordMap.push(wordInfo));
+        headings.forEach(heading => this.headings.push(heading));
+        await this.buildBlocks(false);
+    }
+
+    async finish() {
+        // No more words are coming: render the last block and trim long articles to the window
+        await this.buildBlocks(true);
+        this.updateLiveBlocks();
+    }
+
+    async buildBlocks(final) {
+        let syllables = 0;
+        let blockStart = this.pendingWord;
+        let headingIdx = this.headings.findIndex(heading => heading.wordIndex > blockStart);
+
+        for (let i = this.pendingWord; i < this.wordMap.length; i++) {
+            const wordInfo = this.wordMap[i];
+            syllables += wordInfo.syllables.length;
+
+            // Close the block at a paragraph break or heading once it's big enough,
+            // or at a sentence end in a paragraph that goes on and on
+            while (headingIdx >= 0 && headingIdx < this.headings.length && this.headings[headingIdx].wordIndex <= i) {
+                headingIdx++;
+            }
+            const nextIsHeading = headingIdx >= 0 && headingIdx < this.headings.length && this.headings[headingIdx].wordIndex === i + 1;
+            const atBreak = /\n/.test(wordInfo.following) || nextIsHeading;
+            const atSentenceEnd = /[.!?]/.test(wordInfo.following);
+            const isLast = final && i === this.wordMap.length - 1;
+            if (isLast ||
+                (syllables >= ArticleView.BLOCK_SYLLABLES && atBreak) ||
+                (syllables >= ArticleView.BLOCK_SYLLABLES * 2 && atSentenceEnd) ||
+                syllables >= ArticleView.BLOCK_SYLLABLES * 4) {
+                const live = this.renderNewBlock(blockStart, i + 1);
+                blockStart = i + 1;
+                this.pendingWord = i + 1;
+                syllables = 0;
+                // Yield to the browser between live blocks so it can paint and stay responsive
+                if (live) {
+                    await new Promise(resolve => requestAnimationFrame(resolve));
+                }
+            }
+        }
+    }
+
+    renderNewBlock(startWord, endWord) {
+        const element = document.createElement('span');
+        element.className = 'article-block';
+        element.dataset.block = this.blocks.length;
+        const block = {
+            startWord,
+            endWord,
+            startIndex: this.wordMap[startWord].startIndex,
+            endIndex: this.wordMap[endWord - 1].endIndex,
+            element,
+            live: false
+        };
+        this.blocks.push(block);
+
+        // Render live while the article is still short enough; later blocks start as text
+        const live = this.isFullyLive() || this.blocks.length - 1 - this.focusBlock <= ArticleView.WINDOW_BLOCKS;
+        this.renderBlock(block, live);
+        this.element.appendChild(element);
+        if (this.observer) {
+            this.observer.observe(element);
+        }
+        return live;
+    }
+
+    renderBlock(block, live) {
+        const fragment = document.createDocumentFragment();
+        let text = ''; // plain text is collected into as few text nodes as possible
+        const flushText = () => {
+            if (text) {
+                fragment.appendChild(document.createTextNode(text));
+                text = '';
+            }
+        };
+
+        if (!live) {
+            for (let index = block.startIndex; index <= block.endIndex; index++) {
+                this.syllableElements[index] = undefined;
+            }
+        }
+
+        let headingIdx = this.headings.findIndex(heading => heading.wordIndex >= block.startWord);
+        for (let i = block.startWord; i < block.endWord; i++) {
+            const wordInfo = this.wordMap[i];
+
+            // Section headings are visual breaks only - no syllable spans, never paced
+            while (headingIdx >= 0 && headingIdx < this.headings.length && this.headings[headingIdx].wordIndex === i) {
+                flushText();
+                fragment.appendChild(this.createSectionHeading(this.headings[headingIdx]));
+                headingIdx++;
+            }
+
+            if (live) {
+                this.renderLiveWord(wordInfo, fragment);
+            } else if (wordInfo.display) {
+                flushText();
+                fragment.appendChild(this.createSpokenGroup(wordInfo, this.spokenText(wordInfo)));
+            } else {
+                text += wordInfo.syllables.join('');
+            }
+
+            // Add original following punctuation/spacing
+            if (live) {
+                if (wordInfo.following) fragment.appendChild(document.createTextNode(wordInfo.following));
+            } else {
+                text += wordInfo.following;
+            }
+        }
+        flushText();
+
+        block.element.textContent = '';
+        block.element.appendChild(fragment);
+        block.live = live;
+    }
+
+    renderLiveWord(wordInfo, parent) {
+        // Words shown differently from how they're spoken (e.g. "1984") render as
+        // ruby: the original text on top, the paced syllables grouped underneath
+        let syllableParent = parent;
+        if (wordInfo.display) {
+            const ruby = this.createSpokenGroup(wordInfo, '');
+            parent.appendChild(ruby);
+            syllableParent = ruby.querySelector('rt');
+        }
+
+        // Create syllable spans for this word
+        wordInfo.syllables.forEach((syllable, syllableIdx) => {
+            const globalIndex = wordInfo.startIndex + syllableIdx;
+            if (wordInfo.spokenWordStarts && syllableIdx > 0 && wordInfo.spokenWordStarts.includes(syllableIdx)) {
+                syllableParent.appendChild(document.createTextNode(' '));
+            }
+            const syllSpan = document.createElement('span');
+            syllSpan.className = 'syllable';
+            // Mark the stressed syllable of words with more than one
+            if (wordInfo.syllables.length > 1 && wordInfo.stress && wordInfo.stress[syllableIdx] === 1) {
+                syllSpan.classList.add('stressed');
+            }
+            syllSpan.textContent = syllable;
+            syllSpan.dataset.index = globalIndex;
+            if (this.marks.has(globalIndex)) {
+                this.applyMark(syllSpan, globalIndex);
+            }
+            syllableParent.appendChild(syllSpan);
+            // Cache the syllable element for fast access
+            this.syllableElements[globalIndex] = syllSpan;
+        });
+    }
+
+    setMark(index, type) {
+        // Disfluency tags are kept here so they survive blocks going to plain text and back
+        if (type) {
+            this.marks.set(index, type);
+        } else {
+            this.marks.delete(index);
+        }
+        const element = this.syllableElements[index];
+        if (element) {
+            this.applyMark(element, index);
+        }
+    }
+
+    clearMarks() {
+        const indexes = [...this.marks.keys()];
+        this.marks.clear();
+        indexes.forEach(index => {
+            const element = this.syllableElements[index];
+            if (element) this.applyMark(element, index);
+        });
+    }
+
+    applyMark(element, index) {
+        const type = this.marks.get(index);
+        element.classList.toggle('disfluent', Boolean(type));
+        if (type) {
+            element.dataset.disfluency = type;
+        } else {
+            delete element.dataset.disfluency;
+        }
+    }
+
+    createSpokenGroup(wordInfo, spokenText) {
+        const ruby = document.createElement('ruby');
+        ruby.className = 'spoken-group';
+        ruby.appendChild(document.createTextNode(wordInfo.display));
+        const rt = document.createElement('rt');
+        rt.setAttribute('aria-label', wordInfo.spoken);
+        rt.textContent = spokenText;
+        ruby.appendChild(rt);
+        return ruby;
+    }
+
+    spokenText(wordInfo) {
+        // The spoken syllables as a live block shows them: grouped into words by spaces
+        return wordInfo.syllables.map((syllable, i) =>
+            (i > 0 && wordInfo.spokenWordStarts && wordInfo.spokenWordStarts.includes(i) ? ' ' : '') + syllable
+        ).join('');
+    }
+
+    createSectionHeading(heading) {
+        const headingEl = document.createElement('span');
+        headingEl.className = `article-heading article-heading-level-${heading.level}`;
+        headingEl.setAttribute('role', 'heading');
+        headingEl.setAttribute('aria-level', String(heading.level + 1));
+        headingEl.textContent = heading.title;
+        return headingEl;
+    }
+
+    syllableAt(container, offset, edge) {
+        // Syllable index at the 'start' or 'end' of a selection, whether it falls on a
+        // live span or inside a block that is plain text; null outside the article text
+        const element = container.nodeType === Node.TEXT_NODE ? container.parentElement : container;
+        const syllable = element.closest('.syllable');
+        if (syllable && this.element.contains(syllable)) {
+            return parseInt(syllable.dataset.index);
+        }
+
+        const blockElement = element.closest('.article-block');
+        if (blockElement && this.element.contains(blockElement)) {
+            const block = this.blocks[parseInt(blockElement.dataset.block)];
+            return this.syllableAtOffset(block, this.textOffset(block, container, offset), edge);
+        }
+
+        // Between blocks or outside the text: the nearest syllable on the selected side
+        const point = document.createRange();
+        point.setStart(container, offset);
+        if (edge === 'start') {
+            const next = this.blocks.find(block => point.comparePoint(block.element, 0) >= 0);
+            return next ? next.startIndex : null;
+        }
+        for (let i = this.blocks.length - 1; i >= 0; i--) {
+            const block = this.blocks[i];
+            if (point.comparePoint(block.element, block.element.childNodes.length) <= 0) {
+                return block.endIndex;
+            }
+        }
+        return null;
+    }
+
+    textOffset(block, container, offset) {
+        // Characters of article text in a block before a DOM position (the target marker doesn't count)
+        const point = document.createRange();
+        point.setStart(container, offset);
+        const walker = document.createTreeWalker(block.element, NodeFilter.SHOW_TEXT);
+        let count = 0;
+        for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+            if (node === container) return count + offset;
+            if (point.comparePoint(node, node.length) > 0) break;
+            if (!node.parentElement.closest('[data-target-marker]')) {
+                count += node.length;
+            }
+        }
+        return count;
+    }
+
+    syllableAtOffset(block, count, edge) {
+        // Walks the block's text as renderBlock lays it out (live and plain text read
+        // the same). A start in the gap between syllables belongs to the next one, an
+        // end to the previous one
+        const target = edge === 'start' ? count : count - 1;
+        let position = 0;
+        let previous = null;
+        let headingIdx = this.headings.findIndex(heading => heading.wordIndex >= block.startWord);
+
+        for (let i = block.startWord; i < block.endWord; i++) {
+            const wordInfo = this.wordMap[i];
+            while (headingIdx >= 0 && headingIdx < this.headings.length && this.headings[headingIdx].wordIndex === i) {
+                position += this.headings[headingIdx].title.length;
+                headingIdx++;
+            }
+            if (wordInfo.display) {
+                position += wordInfo.display.length;
+            }
+
+            for (let j = 0; j < wordInfo.syllables.length; j++) {
+                if (j > 0 && wordInfo.spokenWordStarts && wordInfo.spokenWordStarts.includes(j)) {
+                    position += 1;
+                }
+                const start = position;
+                position += wordInfo.syllables[j].length;
+                const index = wordInfo.startIndex + j;
+                if (target < start) {
+                    if (edge === 'start') return index;
+                    return previous === null ? index - 1 : previous;
+                }
+                if (target < position) {
+                    return index;
+                }
+                previous = index;
+            }
+            position += wordInfo.following.length;
+        }
+        return edge === 'start' ? block.endIndex + 1 : previous;
+    }
+
+    blockOf(syllableIndex) {
+        // Binary search: blocks are ordered by syllable index
+        let low = 0;
+        let high = this.blocks.length - 1;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (this.blocks[mid].startIndex <= syllableIndex) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return low;
+    }
+
+    getSyllableElement(index) {
+        // The span for a syllable, bringing its block to life if it was plain text
+        if (this.blocks.length === 0) return null;
+        const block = this.blocks[this.blockOf(index)];
+        if (!block.live) {
+            this.renderBlock(block, true);
+        }
+        return this.syllableElements[index] || null;
+    }
+
+    setFocus(index) {
+        // Keep the blocks around the pacing position live as it advances
+        const blockIndex = this.blockOf(index);
+        if (blockIndex === this.focusBlock) return;
+        this.focusBlock = blockIndex;
+        this.updateLiveBlocks();
+    }
+
+    pin(index) {
+        // Keep the block holding the target marker live; returns its syllable span
+        if (this.blocks.length === 0) return null;
+        this.pinnedBlock = this.blockOf(index);
+        const element = this.getSyllableElement(index);
+        this.updateLiveBlocks();
+        return element;
+    }
+
+    updateLiveBlocks() {
+        if (this.isFullyLive()) return;
+
+        this.blocks.forEach((block, i) => {
+            const live = Math.abs(i - this.focusBlock) <= ArticleView.WINDOW_BLOCKS ||
+                i === this.pinnedBlock ||
+                this.visibleBlocks.has(i);
+            if (live !== block.live) {
+                this.renderBlock(block, live);
+            }
+        });
+    }
+
+    onBlocksIntersect(entries) {
+        // Blocks scrolled into (or near) view come to life so words can be clicked
+        let changed = false;
+        entries.forEach(entry => {
+            const blockIndex = parseInt(entry.target.dataset.block);
+            if (entry.isIntersecting) {
+                this.visibleBlocks.add(blockIndex);
+            } else {
+                this.visibleBlocks.delete(blockIndex);
+            }
+            changed = true;
+        });
+        if (changed) {
+            this.updateLiveBlocks();
+        }
     }
 }
 
@@ -527,46 +3813,469 @@ class MeshModeManager {
 // UI CONTROLLER
 // ============================================================
 
-class UIController {
-    constructor() {
-        this.themeManager = new ThemeManager();
-        this.fontSizeManager = new FontSizeManager();
-        this.meshModeManager = new MeshModeManager();
-        this.parser = new SyllableParser();
-        this.engine = null;
-        this.articleContent = null;
-        this.timerInterval = null;
-        this.syllableCache = []; // Cache syllable elements for performance
+class UIController {
+    constructor() {
+        this.themeManager = new ThemeManager();
+        this.fontSizeManager = new FontSizeManager();
+        this.meshModeManager = new MeshModeManager();
+        this.languageManager = new LanguageManager();
+        this.parser = new SyllableParser();
+        this.parserWorker = new ParserWorkerClient(this.parser);
+        this.normalizer = new TextNormalizer();
+        this.pauseRules = new PauseRules();
+        this.speedProgram = new SpeedProgram();
+        this.metronome = new Metronome();
+        this.microphone = new MicrophoneInput();
+        this.phonation = new PhonationTracker(this.microphone);
+        this.micEnabled = localStorage.getItem('micTracking') === 'on';
+        this.recorder = new SessionRecorder(this.microphone);
+        this.recordings = new RecordingStore();
+        this.recordEnabled = localStorage.getItem('recordSessions') === 'on';
+        this.playback = null; // { recording, url, frameId, beat } while a recording plays
+        this.disfluencies = new DisfluencyTally();
+        this.speechModel = new SpeechModel();
+        this.engine = null;
+        this.articleContent = null;
+        this.timerInterval = null;
+        this.activeSyllables = [];
+
+        // Article source selected in the loader panel (see ARTICLE SOURCES)
+        this.defaultSource = articleSources.get('wikipedia');
+        // Bundled passages are shown when the default source can't be reached
+        this.fallbackSource = articleSources.get('passages');
+        this.currentSource = articleSources.get(localStorage.getItem('articleSource')) || this.defaultSource;
+
+        // Progressive rendering: Track pending promise to prevent race conditions
+        this.pendingFullArticlePromise = null;
+        this.pendingPromiseCancelled = false;
+
+        // Target duration for time-based progress (default: 10 minutes)
+        const savedDuration = localStorage.getItem('targetDuration');
+        this.targetDuration = savedDuration ? parseInt(savedDuration) : 600000; // milliseconds
+
+        this.initElements();
+
+        // Renders the article text, keeping syllable spans only where they're needed
+        this.articleView = new ArticleView();
+
+        // Initialize duration control value from targetDuration
+        this.elements.durationControl.value = Math.floor(this.targetDuration / 60000);
+
+        // Initialize font size control value from localStorage
+        this.elements.fontSizeControl.value = this.fontSizeManager.currentSize;
+
+        // Initialize language options and value from localStorage
+        this.initLanguageControl();
+
+        // Initialize stressed syllable lengthening from localStorage
+        this.elements.stressControl.value = localStorage.getItem('stressFactor') || '1';
+
+        // Initialize pacing unit (syllable, word or phrase) from localStorage
+        this.elements.unitControl.value = localStorage.getItem('pacingUnit') || 'syllable';
+
+        // Initialize metronome sound, volume and accent from saved settings
+        this.initMetronomeControls();
+        this.initModelControls();
+
+        // Microphone tracking stays off until the user opts in
+        this.elements.micEnabled.checked = this.micEnabled;
+
+        // So does recording; list what's been saved before
+        this.elements.recordEnabled.checked = this.recordEnabled;
+        this.renderRecordingList();
+
+        // Initialize syllable splitting options from the available strategies
+        this.initSyllabifierControl();
+
+        // Initialize text clean-up checkboxes from saved rule choices
+        this.initNormalizationControls();
+
+        // Initialize pause lengths from saved settings
+        this.initPauseControls();
+
+        // Initialize the speed program from saved stages
+        this.elements.programEnabled.checked = this.speedProgram.enabled;
+        this.elements.programRamp.checked = this.speedProgram.ramp;
+        this.renderProgramStages();
+        this.onProgramChanged();
+
+        // Show the user's own acronym pronunciations
+        this.renderAcronymList();
+
+        // Initialize progress marks
+        this.updateProgressMarks();
+
+        // Initialize time progress display (before article loads)
+        this.initTimeProgressDisplay();
+
+        this.initSourcePicker();
+
+        this.attachEventListeners();
+        this.loadFeaturedArticleOnInit();
+    }
+
+    loadFeaturedArticleOnInit() {
+        // Offline: skip the network entirely and open a bundled passage
+        if (navigator.onLine === false && this.fallbackSource) {
+            this.loadFallbackArticle();
+            return;
+        }
+
+        // Load featured article immediately when page loads
+        this.loadFeaturedArticle();
+    }
+
+    async loadFallbackArticle() {
+        try {
+            const article = await this.fallbackSource.loadDefault();
+            await this.displayArticle(article);
+        } catch (error) {
+            console.error('Failed to load fallback passage:', error);
+            this.showError('Could not load a reading passage. ' + error.message);
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    initLanguageControl() {
+        const select = this.elements.languageControl;
+        select.innerHTML = '';
+        Object.entries(LANGUAGES).forEach(([code, language]) => {
+            const option = document.createElement('option');
+            option.value = code;
+            option.textContent = language.label;
+            select.appendChild(option);
+        });
+        select.value = this.languageManager.currentLanguage;
+
+        // Warm up the pattern file for the saved language so the first parse doesn't wait
+        this.parser.setLanguage(this.languageManager.currentLanguage);
+    }
+
+    initMetronomeControls() {
+        const select = this.elements.metronomeSound;
+        select.innerHTML = '';
+        Metronome.SOUNDS.forEach(sound => {
+            const option = document.createElement('option');
+            option.value = sound.id;
+            option.textContent = sound.label;
+            select.appendChild(option);
+        });
+        select.value = this.metronome.sound;
+        this.elements.metronomeVolume.value = Math.round(this.metronome.volume * 100);
+        this.elements.metronomeAccent.checked = this.metronome.accent;
+    }
+
+    initModelControls() {
+        this.elements.modelEnabled.checked = this.speechModel.enabled;
+        this.renderModelVoices();
+
+        // Browsers load their voices asynchronously; the list fills in when they arrive
+        if (this.speechModel.synth) {
+            this.speechModel.synth.addEventListener('voiceschanged', () => this.renderModelVoices());
+        }
+        this.speechModel.onUnavailable = (error) => {
+            console.log('ℹ️ Speech synthesis failed, pacing silently:', error);
+            this.renderModelVoices();
+        };
+    }
+
+    renderModelVoices() {
+        const select = this.elements.modelVoice;
+        const voices = this.speechModel.getVoices();
+        select.innerHTML = '';
+
+        const automatic = document.createElement('option');
+        automatic.value = '';
+        automatic.textContent = 'Voice for the article language';
+        select.appendChild(automatic);
+        voices.forEach(voice => {
+            const option = document.createElement('option');
+            option.value = voice.voiceURI;
+            option.textContent = `${voice.name} (${voice.lang})`;
+            select.appendChild(option);
+        });
+        select.value = voices.some(voice => voice.voiceURI === this.speechModel.voiceURI) ? this.speechModel.voiceURI : '';
+
+        // Without voices the option stays visible but pacing is silent
+        const available = this.speechModel.isAvailable();
+        this.elements.modelEnabled.disabled = !available;
+        select.disabled = !available;
+        this.elements.modelStatus.textContent = available ? '' : 'Speech synthesis unavailable (no voices); pacing stays silent';
+        this.elements.modelStatus.classList.toggle('hidden', available);
+    }
+
+    initSyllabifierControl() {
+        const select = this.elements.syllabifierControl;
+        select.innerHTML = '';
+        this.parser.syllabifiers.forEach(syllabifier => {
+            const option = document.createElement('option');
+            option.value = syllabifier.id;
+            option.textContent = syllabifier.label;
+            select.appendChild(option);
+        });
+        select.value = this.parser.syllabifier.id;
+    }
+
+    initNormalizationControls() {
+        const container = this.elements.normalizationRules;
+        container.innerHTML = '';
+        TextNormalizer.RULES.forEach(rule => {
+            const label = document.createElement('label');
+            label.className = 'settings-checkbox';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = this.normalizer.isEnabled(rule.id);
+            checkbox.dataset.ruleId = rule.id;
+
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(' ' + rule.label));
+            container.appendChild(label);
+        });
+    }
 
-        // Progressive rendering: Track pending promise to prevent race conditions
-        this.pendingFullArticlePromise = null;
-        this.pendingPromiseCancelled = false;
+    initPauseControls() {
+        const container = this.elements.pauseRules;
+        container.innerHTML = '';
+
+        const addSelect = (id, labelText, values, format) => {
+            const label = document.createElement('label');
+            label.className = 'settings-pause-rule';
+
+            const select = document.createElement('select');
+            select.className = 'font-size-select';
+            select.dataset.pauseRule = id;
+            values.forEach(value => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = format(value);
+                select.appendChild(option);
+            });
+            select.value = this.pauseRules.get(id);
 
-        // Target duration for time-based progress (default: 10 minutes)
-        const savedDuration = localStorage.getItem('targetDuration');
-        this.targetDuration = savedDuration ? parseInt(savedDuration) : 600000; // milliseconds
+            label.appendChild(document.createTextNode(labelText));
+            label.appendChild(select);
+            container.appendChild(label);
+        };
 
-        this.initElements();
+        PauseRules.RULES.forEach(rule => {
+            addSelect(rule.id, rule.label, PauseRules.BEAT_OPTIONS,
+                beats => (beats === 0 ? 'No pause' : `${beats} ${beats === 1 ? 'beat' : 'beats'}`));
+        });
+        addSelect('wordFinal', 'Last syllable of each word', PauseRules.WORD_FINAL_OPTIONS,
+            factor => (factor === 1 ? 'Same length'
+                : factor === 2 ? 'Twice as long'
+                    : `${Math.round((factor - 1) * 100)}% longer`));
+    }
 
-        // Initialize duration control value from targetDuration
-        this.elements.durationControl.value = Math.floor(this.targetDuration / 60000);
+    renderProgramStages() {
+        const list = this.elements.programStageList;
+        list.innerHTML = '';
 
-        // Initialize font size control value from localStorage
-        this.elements.fontSizeControl.value = this.fontSizeManager.currentSize;
+        if (this.speedProgram.stages.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'settings-list-empty';
+            empty.textContent = 'No stages yet.';
+            list.appendChild(empty);
+            return;
+        }
 
-        // Initialize progress marks
+        const starts = this.speedProgram.getStageStarts();
+        this.speedProgram.stages.forEach((stage, index) => {
+            const item = document.createElement('li');
+            item.className = 'settings-list-item';
+            const isLast = index === this.speedProgram.stages.length - 1;
+            item.textContent = `${this.formatTime(starts[index])}: ${stage.speed}ms ` +
+                (isLast ? 'to the end ' : `for ${stage.minutes} min `);
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'settings-list-remove';
+            removeBtn.textContent = '×';
+            removeBtn.dataset.stageIndex = index;
+            removeBtn.setAttribute('aria-label', `Remove stage ${index + 1}`);
+            item.appendChild(removeBtn);
+            list.appendChild(item);
+        });
+    }
+
+    addProgramStage() {
+        try {
+            this.speedProgram.addStage(
+                this.elements.programStageSpeed.value,
+                this.elements.programStageMinutes.value
+            );
+        } catch (error) {
+            this.showError(error.message);
+            return;
+        }
+
+        this.clearError();
+        this.elements.programStageSpeed.value = '';
+        this.elements.programStageMinutes.value = '';
+        this.renderProgramStages();
+        this.onProgramChanged();
+    }
+
+    onProgramChanged() {
+        // The program replaces the speed slider while it's on
+        const active = this.speedProgram.isActive();
+        this.elements.speedControl.disabled = active;
+
+        if (this.engine) {
+            this.engine.setProgram(active ? this.speedProgram : null);
+        }
+        if (active) {
+            this.showProgramSpeed(this.speedProgram.speedAt(this.engine ? this.engine.getElapsedTime() : 0));
+        } else {
+            this.elements.speedValue.textContent = `${this.elements.speedControl.value}ms`;
+        }
+
+        // Stage boundaries show on the time bar, and the pace moves the target position
         this.updateProgressMarks();
+        this.updateTargetMarker();
+    }
 
-        // Initialize time progress display (before article loads)
-        this.initTimeProgressDisplay();
+    showProgramSpeed(speed) {
+        this.elements.speedValue.textContent = `${speed}ms (program)`;
+    }
 
-        this.attachEventListeners();
-        this.loadFeaturedArticleOnInit();
+    renderAcronymList() {
+        const list = this.elements.acronymList;
+        list.innerHTML = '';
+        const entries = Object.entries(this.parser.acronyms.custom).sort(([a], [b]) => a.localeCompare(b));
+
+        if (entries.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'settings-list-empty';
+            empty.textContent = 'No custom acronyms yet.';
+            list.appendChild(empty);
+            return;
+        }
+
+        entries.forEach(([acronym, pronunciation]) => {
+            const item = document.createElement('li');
+            item.className = 'settings-list-item';
+            item.textContent = `${acronym}: ${pronunciation === 'spell' ? 'spelled out' : pronunciation} `;
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'settings-list-remove';
+            removeBtn.textContent = '×';
+            removeBtn.dataset.acronym = acronym;
+            removeBtn.setAttribute('aria-label', `Remove ${acronym}`);
+            item.appendChild(removeBtn);
+            list.appendChild(item);
+        });
     }
 
-    loadFeaturedArticleOnInit() {
-        // Load featured article immediately when page loads
-        this.loadFeaturedArticle();
+    addCustomAcronym() {
+        try {
+            this.parser.acronyms.setCustom(
+                this.elements.acronymInput.value,
+                this.elements.acronymPronunciation.value
+            );
+        } catch (error) {
+            this.showError(error.message);
+            return;
+        }
+
+        this.clearError();
+        this.elements.acronymInput.value = '';
+        this.elements.acronymPronunciation.value = '';
+        this.onAcronymsChanged();
+    }
+
+    onAcronymsChanged() {
+        this.renderAcronymList();
+
+        // Re-parse the current article with the updated lexicon (restarts practice)
+        this.redisplayArticle();
+    }
+
+    initSourcePicker() {
+        // Populate the source picker from the registry so new sources need no UI changes
+        const select = this.elements.sourceSelect;
+        select.innerHTML = '';
+        articleSources.list().forEach(source => {
+            const option = document.createElement('option');
+            option.value = source.id;
+            option.textContent = source.label;
+            select.appendChild(option);
+        });
+        select.value = this.currentSource.id;
+        this.applySource(this.currentSource);
+    }
+
+    async applySource(source) {
+        // Swap the input control and hint text to match the selected source
+        this.currentSource = source;
+        localStorage.setItem('articleSource', source.id);
+
+        this.elements.loaderHeader.innerHTML = `<em>${source.hint || ''}</em>`;
+
+        const inputs = {
+            text: this.elements.articleInput,
+            textarea: this.elements.articleTextInput,
+            choice: this.elements.articleChoice
+        };
+        Object.entries(inputs).forEach(([type, element]) => {
+            element.classList.toggle('hidden', type !== source.inputType);
+        });
+
+        const activeInput = this.getSourceInput();
+        if (activeInput.tagName !== 'SELECT') {
+            activeInput.placeholder = source.placeholder || '';
+        }
+        activeInput.setAttribute('aria-label', source.placeholder || source.label);
+
+        // Sources that accept files get the drop zone / file picker
+        this.elements.fileDropZone.classList.toggle('hidden', !source.acceptsFiles);
+        this.elements.fileInput.accept = source.acceptsFiles || '';
+
+        if (source.inputType === 'choice') {
+            await this.populateSourceChoices(source);
+        }
+    }
+
+    async populateSourceChoices(source) {
+        const select = this.elements.articleChoice;
+        select.innerHTML = '';
+
+        try {
+            const choices = await source.listChoices();
+            if (this.currentSource !== source) return; // Source changed while loading
+
+            if (choices.length === 0) {
+                const option = document.createElement('option');
+                option.value = '';
+                option.textContent = 'No texts available';
+                select.appendChild(option);
+                return;
+            }
+
+            choices.forEach(choice => {
+                const option = document.createElement('option');
+                option.value = choice.value;
+                option.textContent = choice.label;
+                select.appendChild(option);
+            });
+        } catch (error) {
+            console.warn('Failed to list texts for source:', source.id, error);
+            this.showError(`Could not list texts from ${source.label}. ${error.message}`);
+        }
+    }
+
+    getSourceInput() {
+        if (this.currentSource.inputType === 'textarea') return this.elements.articleTextInput;
+        if (this.currentSource.inputType === 'choice') return this.elements.articleChoice;
+        return this.elements.articleInput;
+    }
+
+    submitSourceInput() {
+        const value = this.getSourceInput().value.trim();
+        if (value) {
+            this.loadFromSource(this.currentSource, value);
+        }
     }
 
     toggleLoaderContent() {
@@ -581,7 +4290,13 @@ class UIController {
             meshToggle: document.getElementById('meshToggle'),
             loaderToggle: document.getElementById('loaderToggle'),
             loaderContent: document.getElementById('loaderContent'),
+            loaderHeader: document.getElementById('loaderHeader'),
+            sourceSelect: document.getElementById('sourceSelect'),
             articleInput: document.getElementById('articleInput'),
+            articleTextInput: document.getElementById('articleTextInput'),
+            articleChoice: document.getElementById('articleChoice'),
+            fileDropZone: document.getElementById('fileDropZone'),
+            fileInput: document.getElementById('fileInput'),
             loadCustomBtn: document.getElementById('loadCustomBtn'),
             articleTitle: document.getElementById('articleTitle'),
             articleContent: document.getElementById('articleContent'),
@@ -589,14 +4304,62 @@ class UIController {
             startBtn: document.getElementById('startBtn'),
             pauseBtn: document.getElementById('pauseBtn'),
             resetBtn: document.getElementById('resetBtn'),
+            stepUnit: document.getElementById('stepUnit'),
+            stepBackBtn: document.getElementById('stepBackBtn'),
+            stepForwardBtn: document.getElementById('stepForwardBtn'),
+            loopRepetitions: document.getElementById('loopRepetitions'),
+            loopSlowdown: document.getElementById('loopSlowdown'),
+            loopBtn: document.getElementById('loopBtn'),
             timer: document.getElementById('timer'),
             speedControl: document.getElementById('speedControl'),
             speedValue: document.getElementById('speedValue'),
+            programEnabled: document.getElementById('programEnabled'),
+            programRamp: document.getElementById('programRamp'),
+            programStageSpeed: document.getElementById('programStageSpeed'),
+            programStageMinutes: document.getElementById('programStageMinutes'),
+            programAddBtn: document.getElementById('programAddBtn'),
+            programStageList: document.getElementById('programStageList'),
             durationControl: document.getElementById('durationControl'),
             fontSizeControl: document.getElementById('fontSizeControl'),
+            languageControl: document.getElementById('languageControl'),
+            syllabifierControl: document.getElementById('syllabifierControl'),
+            stressControl: document.getElementById('stressControl'),
+            unitControl: document.getElementById('unitControl'),
+            metronomeSound: document.getElementById('metronomeSound'),
+            metronomeVolume: document.getElementById('metronomeVolume'),
+            metronomeAccent: document.getElementById('metronomeAccent'),
+            modelEnabled: document.getElementById('modelEnabled'),
+            modelVoice: document.getElementById('modelVoice'),
+            modelStatus: document.getElementById('modelStatus'),
+            micEnabled: document.getElementById('micEnabled'),
+            micFileInput: document.getElementById('micFileInput'),
+            phonationReport: document.getElementById('phonationReport'),
+            disfluencyControls: document.getElementById('disfluencyControls'),
+            disfluencyReport: document.getElementById('disfluencyReport'),
+            timingReport: document.getElementById('timingReport'),
+            recordEnabled: document.getElementById('recordEnabled'),
+            recordingList: document.getElementById('recordingList'),
+            playbackBar: document.getElementById('playbackBar'),
+            playbackTitle: document.getElementById('playbackTitle'),
+            playbackAudio: document.getElementById('playbackAudio'),
+            playbackCloseBtn: document.getElementById('playbackCloseBtn'),
+            normalizationRules: document.getElementById('normalizationRules'),
+            pauseRules: document.getElementById('pauseRules'),
+            acronymInput: document.getElementById('acronymInput'),
+            acronymPronunciation: document.getElementById('acronymPronunciation'),
+            acronymAddBtn: document.getElementById('acronymAddBtn'),
+            acronymList: document.getElementById('acronymList'),
+            syllableEditor: document.getElementById('syllableEditor'),
+            syllableEditorLabel: document.getElementById('syllableEditorLabel'),
+            syllableEditorInput: document.getElementById('syllableEditorInput'),
+            syllableEditorSave: document.getElementById('syllableEditorSave'),
+            syllableEditorReset: document.getElementById('syllableEditorReset'),
+            syllableEditorCancel: document.getElementById('syllableEditorCancel'),
             timeProgressFill: document.getElementById('timeProgressFill'),
             timeProgressText: document.getElementById('timeProgressText'),
             timeProgressMarks: document.getElementById('timeProgressMarks'),
+            sectionToc: document.getElementById('sectionToc'),
+            sectionTocList: document.getElementById('sectionTocList'),
             loadingIndicator: document.getElementById('loadingIndicator'),
             errorMessage: document.getElementById('errorMessage'),
             progressInfo: document.getElementById('progressInfo')
@@ -616,19 +4379,55 @@ class UIController {
             this.toggleLoaderContent();
         });
 
+        this.elements.sourceSelect.addEventListener('change', (e) => {
+            const source = articleSources.get(e.target.value);
+            if (source) {
+                this.clearError();
+                this.applySource(source);
+            }
+        });
+
         this.elements.loadCustomBtn.addEventListener('click', () => {
-            const title = this.elements.articleInput.value.trim();
-            if (title) {
-                this.loadArticleByTitle(title);
+            this.submitSourceInput();
+        });
+
+        this.elements.fileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.loadFromSource(this.currentSource, file);
             }
+            // Allow picking the same file again
+            e.target.value = '';
+        });
+
+        // Drag-and-drop files onto the drop zone or the text area
+        [this.elements.fileDropZone, this.elements.articleTextInput].forEach(target => {
+            target.addEventListener('dragover', (e) => {
+                if (!this.currentSource.acceptsFiles) return;
+                e.preventDefault();
+                this.elements.fileDropZone.classList.add('drag-over');
+            });
+            target.addEventListener('dragleave', () => {
+                this.elements.fileDropZone.classList.remove('drag-over');
+            });
+            target.addEventListener('drop', (e) => {
+                this.elements.fileDropZone.classList.remove('drag-over');
+                const file = e.dataTransfer && e.dataTransfer.files[0];
+                if (!file || !this.currentSource.acceptsFiles) return;
+                e.preventDefault();
+                // A drop bypasses the file picker's filter, so check the type here
+                if (!this.isAcceptedFile(file, this.currentSource.acceptsFiles)) {
+                    this.showError(`Can't open "${file.name}". Drop a file of one of these types: ` +
+                        this.currentSource.acceptsFiles.split(',').join(', '));
+                    return;
+                }
+                this.loadFromSource(this.currentSource, file);
+            });
         });
 
         this.elements.articleInput.addEventListener('keypress', (e) => {
             if (e.key === 'Enter') {
-                const title = this.elements.articleInput.value.trim();
-                if (title) {
-                    this.loadArticleByTitle(title);
-                }
+                this.submitSourceInput();
             }
         });
 
@@ -658,6 +4457,113 @@ class UIController {
             this.updateTargetMarker();
         });
 
+        this.elements.metronomeSound.addEventListener('change', (e) => {
+            this.metronome.setSound(e.target.value);
+            // Switching it on mid-session is a user gesture, so audio can start now
+            if (this.metronome.isEnabled() && this.engine && this.engine.isPlaying) {
+                this.metronome.ensureContext();
+            }
+        });
+
+        this.elements.metronomeVolume.addEventListener('input', (e) => {
+            this.metronome.setVolume(parseInt(e.target.value) / 100);
+        });
+
+        this.elements.metronomeAccent.addEventListener('change', (e) => {
+            this.metronome.setAccent(e.target.checked);
+        });
+
+        this.elements.modelEnabled.addEventListener('change', (e) => {
+            this.speechModel.setEnabled(e.target.checked);
+        });
+
+        this.elements.modelVoice.addEventListener('change', (e) => {
+            this.speechModel.setVoice(e.target.value);
+        });
+
+        this.elements.micEnabled.addEventListener('change', (e) => {
+            this.micEnabled = e.target.checked;
+            localStorage.setItem('micTracking', this.micEnabled ? 'on' : 'off');
+            if (!this.micEnabled) {
+                this.phonation.stop();
+            } else if (this.engine && this.engine.isPlaying) {
+                this.startPhonationTracking();
+            }
+        });
+
+        this.elements.disfluencyControls.addEventListener('click', (e) => {
+            const type = e.target.dataset.disfluency;
+            if (type) {
+                this.tagDisfluency(type);
+            }
+        });
+
+        this.elements.recordEnabled.addEventListener('change', (e) => {
+            this.recordEnabled = e.target.checked;
+            localStorage.setItem('recordSessions', this.recordEnabled ? 'on' : 'off');
+            if (!this.recordEnabled) {
+                this.finishRecording();
+            } else if (this.engine && this.engine.isPlaying) {
+                // Ticked mid-session: record the rest of it
+                this.startRecording();
+            }
+        });
+
+        this.elements.recordingList.addEventListener('click', (e) => {
+            const id = parseInt(e.target.dataset.recordingId);
+            if (!id) return;
+            if (e.target.dataset.action === 'play') {
+                this.playRecording(id);
+            } else {
+                this.deleteRecording(id);
+            }
+        });
+
+        this.elements.playbackCloseBtn.addEventListener('click', () => {
+            this.closePlayback();
+        });
+
+        this.elements.playbackAudio.addEventListener('play', () => {
+            if (this.playback && this.playback.frameId === null) {
+                this.followPlayback();
+            }
+        });
+        ['pause', 'ended'].forEach(type => {
+            this.elements.playbackAudio.addEventListener(type, () => this.stopFollowingPlayback());
+        });
+        this.elements.playbackAudio.addEventListener('seeked', () => {
+            // Seeking while paused still moves the highlight
+            if (this.playback) this.syncPlayback();
+        });
+
+        this.elements.micFileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) {
+                this.analyzeRecording(file);
+            }
+        });
+
+        this.elements.unitControl.addEventListener('change', (e) => {
+            localStorage.setItem('pacingUnit', e.target.value);
+            if (this.engine) {
+                // Takes effect from the next beat; show the new unit now if not playing
+                this.engine.setUnit(e.target.value);
+                if (!this.engine.isPlaying || this.engine.isPaused) {
+                    this.highlightSyllable(this.engine.cursor);
+                }
+            }
+        });
+
+        this.elements.stressControl.addEventListener('change', (e) => {
+            localStorage.setItem('stressFactor', e.target.value);
+            if (this.engine) {
+                this.engine.setStressFactor(parseFloat(e.target.value));
+            }
+            // Longer stressed syllables move the target position
+            this.updateTargetMarker();
+        });
+
         this.elements.durationControl.addEventListener('input', (e) => {
             const durationMinutes = parseInt(e.target.value);
             this.targetDuration = durationMinutes * 60000; // Convert minutes to milliseconds
@@ -674,23 +4580,200 @@ class UIController {
             }
         });
 
+        this.elements.sectionTocList.addEventListener('change', (e) => {
+            if (e.target.dataset.sectionIndex !== undefined) {
+                this.onSectionToggle(parseInt(e.target.dataset.sectionIndex), e.target.checked);
+            }
+        });
+
         this.elements.fontSizeControl.addEventListener('change', (e) => {
             const fontSize = e.target.value;
             this.fontSizeManager.setSize(fontSize);
         });
 
+        this.elements.normalizationRules.addEventListener('change', (e) => {
+            const ruleId = e.target.dataset.ruleId;
+            if (!ruleId) return;
+            this.normalizer.setEnabled(ruleId, e.target.checked);
+
+            // Re-parse the current article with the new rules (restarts practice)
+            this.redisplayArticle();
+        });
+
+        this.elements.pauseRules.addEventListener('change', (e) => {
+            const ruleId = e.target.dataset.pauseRule;
+            if (!ruleId) return;
+            this.pauseRules.set(ruleId, parseFloat(e.target.value));
+            if (this.engine) {
+                this.engine.updateBeatLengths();
+            }
+            // Pauses move the target position
+            this.updateTargetMarker();
+        });
+
+        this.elements.programEnabled.addEventListener('change', (e) => {
+            this.speedProgram.setEnabled(e.target.checked);
+            this.onProgramChanged();
+        });
+
+        this.elements.programRamp.addEventListener('change', (e) => {
+            this.speedProgram.setRamp(e.target.checked);
+            this.onProgramChanged();
+        });
+
+        this.elements.programAddBtn.addEventListener('click', () => {
+            this.addProgramStage();
+        });
+
+        this.elements.programStageMinutes.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                this.addProgramStage();
+            }
+        });
+
+        this.elements.programStageList.addEventListener('click', (e) => {
+            const stageIndex = e.target.dataset.stageIndex;
+            if (stageIndex !== undefined) {
+                this.speedProgram.removeStage(parseInt(stageIndex));
+                this.renderProgramStages();
+                this.onProgramChanged();
+            }
+        });
+
+        this.elements.acronymAddBtn.addEventListener('click', () => {
+            this.addCustomAcronym();
+        });
+
+        this.elements.acronymPronunciation.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                this.addCustomAcronym();
+            }
+        });
+
+        this.elements.acronymList.addEventListener('click', (e) => {
+            const acronym = e.target.dataset.acronym;
+            if (acronym) {
+                this.parser.acronyms.removeCustom(acronym);
+                this.onAcronymsChanged();
+            }
+        });
+
+        // Click a syllable to move the cursor there; double-click a word to correct
+        // how it's split into syllables
+        this.elements.articleContent.addEventListener('click', (e) => {
+            const syllable = e.target.closest('.syllable');
+            const selection = window.getSelection();
+            // Selecting text (to loop it) shouldn't move the cursor, and the second
+            // click of a double-click (to edit the word) has already been handled
+            if (!syllable || e.detail > 1 || (selection && !selection.isCollapsed)) return;
+
+            // While a recording plays, clicking jumps the recording instead
+            if (this.playback) {
+                this.seekPlayback(parseInt(syllable.dataset.index));
+            } else {
+                this.seekTo(parseInt(syllable.dataset.index));
+            }
+        });
+
+        this.elements.articleContent.addEventListener('dblclick', (e) => {
+            const syllable = e.target.closest('.syllable');
+            if (syllable) {
+                this.openSyllableEditor(parseInt(syllable.dataset.index), syllable);
+            }
+        });
+
+        this.elements.stepBackBtn.addEventListener('click', () => {
+            this.stepCursor(-1);
+        });
+
+        this.elements.stepForwardBtn.addEventListener('click', () => {
+            this.stepCursor(1);
+        });
+
+        this.elements.loopBtn.addEventListener('click', () => {
+            this.toggleLoop();
+        });
+
+        this.elements.syllableEditorSave.addEventListener('click', () => {
+            this.saveSyllableEditor();
+        });
+
+        this.elements.syllableEditorReset.addEventListener('click', () => {
+            this.resetSyllableOverride();
+        });
+
+        this.elements.syllableEditorCancel.addEventListener('click', () => {
+            this.closeSyllableEditor();
+        });
+
+        this.elements.syllableEditorInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.saveSyllableEditor();
+            } else if (e.key === 'Escape') {
+                this.closeSyllableEditor();
+            }
+        });
+
+        this.elements.languageControl.addEventListener('change', (e) => {
+            // Applies to the next article loaded; the current one keeps its language
+            this.languageManager.setLanguage(e.target.value);
+            this.parser.setLanguage(this.languageManager.currentLanguage);
+            this.cacheLanguagePatterns(this.languageManager.currentLanguage);
+        });
+
+        this.elements.syllabifierControl.addEventListener('change', (e) => {
+            // Re-split the current article in place; word boundaries stay the same
+            this.parser.setSyllabifier(e.target.value);
+            this.reparseInPlace().catch((error) => {
+                console.error('Failed to re-split article:', error);
+                this.showError('Could not update the article: ' + error.message);
+            });
+        });
+
         // Keyboard shortcut: space to pause/resume (but not when typing in input)
         document.addEventListener('keydown', (e) => {
             // Don't trigger if user is typing in an input field
-            const isFocusedOnInput = document.activeElement === this.elements.articleInput;
+            const isFocusedOnInput = this.isEditableElement(document.activeElement);
 
             if (e.code === 'Space' && this.engine && !isFocusedOnInput) {
                 e.preventDefault();
                 this.togglePause();
+            } else if ((e.key === 'ArrowLeft' || e.key === 'ArrowRight') && this.engine && !isFocusedOnInput) {
+                // Arrow keys step by the chosen unit while paused (and scroll as usual otherwise)
+                if (this.stepCursor(e.key === 'ArrowRight' ? 1 : -1)) {
+                    e.preventDefault();
+                }
+            } else if (this.engine && !isFocusedOnInput && !e.ctrlKey && !e.metaKey && !e.altKey) {
+                // D tags a stutter on the highlighted syllable, B/R/P tag (or re-tag) its type,
+                // Backspace takes the last tag back
+                const type = DisfluencyTally.TYPES.find(candidate => candidate.key === e.key.toLowerCase());
+                if (type) {
+                    e.preventDefault();
+                    this.tagDisfluency(type.id);
+                } else if (e.key === 'Backspace') {
+                    e.preventDefault();
+                    this.untagDisfluency();
+                }
             }
         });
     }
 
+    isAcceptedFile(file, accept) {
+        // Matches a file against an <input accept> list of extensions and MIME types
+        const name = file.name.toLowerCase();
+        const type = (file.type || '').toLowerCase();
+        return accept.split(',').map(entry => entry.trim().toLowerCase()).some(entry => {
+            if (entry.startsWith('.')) return name.endsWith(entry);
+            if (entry.endsWith('/*')) return type.startsWith(entry.slice(0, -1));
+            return type === entry;
+        });
+    }
+
+    isEditableElement(element) {
+        if (!element) return false;
+        return ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName) || element.isContentEditable;
+    }
+
     async loadFeaturedArticle() {
         const loadingStartTime = Date.now();
         console.log('Starting to load featured article...');
@@ -704,14 +4787,7 @@ class UIController {
             this.clearError();
             this.disableLoadButtons(true);
 
-            const today = new Date();
-            console.log('Requesting featured article for:', today.toDateString());
-
-            const article = await WikipediaService.getFeaturedArticle(
-                today.getFullYear(),
-                today.getMonth() + 1,
-                today.getDate()
-            );
+            const article = await this.defaultSource.loadDefault();
 
             console.log('Featured article received:', article.title);
             await this.displayArticle(article);
@@ -720,7 +4796,7 @@ class UIController {
             perfMon.report();
 
             // Predictive caching: Pre-fetch tomorrow's featured article in background
-            this.prefetchTomorrowArticle();
+            this.prefetchTomorrowArticle(this.defaultSource);
 
             // Handle progressive rendering: if full article is loading in background, update when ready
             if (article._fullArticlePromise) {
@@ -745,16 +4821,13 @@ class UIController {
             console.error('Failed to load featured article:', error);
 
             // Provide user-friendly error message based on error type
-            let errorMessage = 'Error loading featured article. ';
-
-            if (error.message.includes('timed out')) {
-                errorMessage += 'The request took too long. Please check your internet connection and try again.';
-            } else if (error.message.includes('Failed to fetch') || error.message.includes('NetworkError')) {
-                errorMessage += 'Could not connect to Wikipedia. Please check your internet connection.';
-            } else if (error.message.includes('HTTP')) {
-                errorMessage += 'Wikipedia API returned an error (' + error.message + '). Please try again later.';
-            } else {
-                errorMessage += error.message;
+            let errorMessage = 'Error loading featured article. ' +
+                this.describeLoadError(error, this.defaultSource);
+
+            // Nothing on screen yet: fall back to a bundled passage so practice can still start
+            if (!this.engine && this.fallbackSource) {
+                errorMessage += ' Showing a built-in reading passage instead.';
+                await this.loadFallbackArticle();
             }
 
             this.showError(errorMessage);
@@ -780,53 +4853,34 @@ class UIController {
         }
     }
 
-    async loadArticleByTitle(input) {
+    async loadFromSource(source, input) {
         const loadingStartTime = Date.now();
         const originalButtonText = this.elements.loadCustomBtn.textContent;
-        console.log('Loading article by title/URL:', input);
+        // Input is usually a string; file-accepting sources may also receive a File
+        const inputName = typeof input === 'string' ? input : input.name;
+        console.log(`Loading article from ${source.id}:`, inputName);
 
         try {
             // Cancel any pending full article promise from featured article load
             this.pendingPromiseCancelled = true;
 
-            this.showLoading(true, 'Fetching article from Wikipedia...');
+            this.showLoading(true, source.loadingMessage || 'Loading article...');
             this.clearError();
             this.disableLoadButtons(true);
             this.elements.loadCustomBtn.textContent = 'Loading...';
 
-            // Extract title from URL if needed
-            let title = input.trim();
-
-            // Check if input is a Wikipedia URL and extract the article title
-            const urlPattern = /(?:https?:\/\/)?(?:[\w]+\.)?wikipedia\.org\/wiki\/([^#?]+)/i;
-            const match = title.match(urlPattern);
-
-            if (match) {
-                // Extract the article title from the URL
-                title = decodeURIComponent(match[1]);
-                console.log('Extracted title from URL:', title);
-            }
-
-            const article = await WikipediaService.getArticleByTitle(title);
+            const article = await source.load(input);
             console.log('Article received:', article.title);
             await this.displayArticle(article);
         } catch (error) {
             console.error('Failed to load article:', error);
 
+            // Keep long pasted input out of the error banner
+            const inputLabel = inputName.length > 60 ? inputName.slice(0, 57) + '...' : inputName;
+
             // Provide user-friendly error message based on error type
-            let errorMessage = 'Error loading article "' + input + '". ';
-
-            if (error.message.includes('not found')) {
-                errorMessage += 'Article not found. Please check the title and try again.';
-            } else if (error.message.includes('timed out')) {
-                errorMessage += 'The request took too long. Please check your internet connection and try again.';
-            } else if (error.message.includes('Failed to fetch') || error.message.includes('NetworkError')) {
-                errorMessage += 'Could not connect to Wikipedia. Please check your internet connection.';
-            } else if (error.message.includes('HTTP')) {
-                errorMessage += 'Wikipedia API returned an error (' + error.message + '). Please try again later.';
-            } else {
-                errorMessage += error.message;
-            }
+            const errorMessage = 'Error loading article "' + inputLabel + '". ' +
+                this.describeLoadError(error, source);
 
             this.showError(errorMessage);
         } finally {
@@ -841,51 +4895,172 @@ class UIController {
         }
     }
 
-    async renderSyllablesAsync(wordMap, parentElement) {
-        // Render syllables in chunks to prevent UI blocking
-        // This allows the browser to paint loading indicators and remain responsive
-        const CHUNK_SIZE = 150; // Process 150 syllables per frame
-        let fragment = document.createDocumentFragment();
-        let syllableCount = 0;
-
-        for (let i = 0; i < wordMap.length; i++) {
-            const wordInfo = wordMap[i];
-
-            // Create syllable spans for this word
-            wordInfo.syllables.forEach((syllable, syllableIdx) => {
-                const globalIndex = wordInfo.startIndex + syllableIdx;
-                const syllSpan = document.createElement('span');
-                syllSpan.className = 'syllable';
-                syllSpan.textContent = syllable;
-                syllSpan.dataset.index = globalIndex;
-                fragment.appendChild(syllSpan);
-                // Cache the syllable element for fast access
-                this.syllableCache[globalIndex] = syllSpan;
-                syllableCount++;
-            });
+    async loadArticleByTitle(input) {
+        // Wikipedia shortcut kept for callers that only deal in titles/URLs
+        return this.loadFromSource(articleSources.get('wikipedia'), input);
+    }
+
+    describeLoadError(error, source) {
+        const label = source ? source.label : 'the article source';
+
+        if (error.message.includes('not found')) {
+            return 'Article not found. Please check the title and try again.';
+        } else if (error.message.includes('timed out')) {
+            return 'The request took too long. Please check your internet connection and try again.';
+        } else if (error.message.includes('Failed to fetch') || error.message.includes('NetworkError')) {
+            return 'Could not connect to ' + label + '. Please check your internet connection.';
+        } else if (error.message.includes('HTTP')) {
+            return label + ' returned an error (' + error.message + '). Please try again later.';
+        }
+        return error.message;
+    }
+
+    createEngine(syllables, wordMap, headings = []) {
+        // Flatten the per-word stress so the engine can look it up by syllable index
+        const stress = new Array(syllables.length).fill(0);
+        wordMap.forEach(wordInfo => {
+            (wordInfo.stress || []).forEach((value, i) => {
+                stress[wordInfo.startIndex + i] = value;
+            });
+        });
+        // Same for the breaks after each word (punctuation, paragraphs, headings)
+        const { boundaries, wordFinal, wordStarts } = PauseRules.mapBoundaries(syllables.length, wordMap, headings);
+
+        const engine = new PacingEngine(syllables, {
+            speed: parseInt(this.elements.speedControl.value),
+            unit: this.elements.unitControl.value,
+            stress: stress,
+            stressFactor: parseFloat(this.elements.stressControl.value),
+            boundaries: boundaries,
+            wordFinal: wordFinal,
+            wordStarts: wordStarts,
+            pauseRules: this.pauseRules,
+            program: this.speedProgram.isActive() ? this.speedProgram : null,
+            onSyllableChange: (index, syllable) => {
+                this.highlightSyllable(index);
+                // Reset also reports syllable 0; only beats are spoken
+                if (engine.isPlaying) this.speakBeat(engine, index);
+            },
+            onSpeedChange: (speed) => {
+                if (this.speedProgram.isActive()) this.showProgramSpeed(speed);
+            },
+            onLoopChange: (loop) => this.onLoopChanged(loop),
+            onBeatScheduled: (index, dueAt, duration) => {
+                this.metronome.schedule(dueAt, duration, this.metronome.accent && wordStarts[index]);
+            },
+            onBeatCancelled: () => {
+                this.metronome.cancel();
+                this.speechModel.cancel();
+            },
+            onComplete: () => this.onPracticeComplete()
+        });
+        return engine;
+    }
+
+    speakBeat(engine, index) {
+        // Voice the model reading for the beat just logged, over its speaking time
+        if (!this.speechModel.isActive()) return;
+
+        const beat = engine.beatLog[engine.beatLog.length - 1];
+        const language = (this.articleContent && this.articleContent.language) || this.languageManager.currentLanguage;
+        this.speechModel.speak(this.beatText(index, beat.end), beat.end - index + 1, beat.duration - beat.pause, language);
+    }
+
+    beatText(start, end) {
+        // The syllables start..end as words: whole words for word and phrase units,
+        // a lone syllable for syllable pacing
+        const words = [];
+        for (let i = this.findWordIndex(start); i < this.wordMap.length && this.wordMap[i].startIndex <= end; i++) {
+            const wordInfo = this.wordMap[i];
+            const from = Math.max(start, wordInfo.startIndex) - wordInfo.startIndex;
+            const to = Math.min(end, wordInfo.endIndex) - wordInfo.startIndex;
+            let word = '';
+            for (let j = from; j <= to; j++) {
+                // Spoken numbers are several words ("nineteen eighty-four")
+                if (j > from && wordInfo.spokenWordStarts && wordInfo.spokenWordStarts.includes(j)) word += ' ';
+                word += wordInfo.syllables[j];
+            }
+            words.push(word);
+        }
+        return words.join(' ');
+    }
+
+    async parseArticle(article, onChunk) {
+        // Split into sections (keeping the user's choice when re-rendering the same text)
+        // and parse the selected ones in the parser worker; applySections() makes the
+        // result current. onChunk receives each paragraph as soon as it's parsed
+        const sameText = this.sections && this.sectionsText === article.text;
+        const sections = sameText ? this.sections : ArticleSections.parse(article.text);
+        const selected = sameText ? this.selectedSections : ArticleSections.defaultSelection(sections);
+
+        // Clean up each section's text (headings stay as written in the table of contents)
+        const language = article.language || this.languageManager.currentLanguage;
+        const normalized = sections.map(section => ({
+            ...section,
+            text: this.normalizer.normalize(section.text, language)
+        }));
+
+        const parsed = await this.parserWorker.parseSections(normalized, selected, language, onChunk);
+        return { sections, selected, ...parsed };
+    }
 
-            // Add original following punctuation/spacing
-            if (wordInfo.following) {
-                fragment.appendChild(document.createTextNode(wordInfo.following));
-            }
+    applySections(parsed, article) {
+        this.sections = parsed.sections;
+        this.selectedSections = parsed.selected;
+        this.sectionsText = article.text;
+        this.renderSectionToc();
+    }
 
-            // Yield to browser every CHUNK_SIZE syllables to allow painting
-            if (syllableCount >= CHUNK_SIZE) {
-                // Append current chunk to DOM (fragment automatically empties itself)
-                parentElement.appendChild(fragment);
-                // Create new fragment for next chunk
-                fragment = document.createDocumentFragment();
-                syllableCount = 0;
+    renderSectionToc() {
+        // Table of contents with a checkbox per section; hidden when there are no headings
+        const list = this.elements.sectionTocList;
+        list.innerHTML = '';
+        const hasHeadings = this.sections.some(section => section.title);
+        this.elements.sectionToc.classList.toggle('hidden', !hasHeadings);
+        if (!hasHeadings) return;
+
+        this.sections.forEach((section, index) => {
+            const label = document.createElement('label');
+            label.className = `section-toc-item section-toc-level-${section.level}`;
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = this.selectedSections.has(index);
+            checkbox.dataset.sectionIndex = index;
+
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(' ' + (section.title || 'Introduction')));
+            list.appendChild(label);
+        });
+    }
 
-                // Yield control to browser to paint and remain responsive
-                await new Promise(resolve => requestAnimationFrame(resolve));
-            }
+    onSectionToggle(index, checked) {
+        if (checked) {
+            this.selectedSections.add(index);
+        } else {
+            this.selectedSections.delete(index);
         }
 
-        // Append any remaining syllables
-        if (fragment.hasChildNodes()) {
-            parentElement.appendChild(fragment);
+        if (this.selectedSections.size === 0) {
+            // Keep at least one section so there is something to practise
+            this.selectedSections.add(index);
+            this.renderSectionToc();
+            return;
         }
+
+        // Re-render the current article with the new selection (restarts practice)
+        this.redisplayArticle();
+    }
+
+    redisplayArticle() {
+        // Re-parse the current article after a parsing setting changed (restarts practice)
+        if (!this.articleContent) return;
+
+        this.resetPractice();
+        this.displayArticle(this.articleContent).catch((error) => {
+            console.error('Failed to re-parse article:', error);
+            this.showError('Could not update the article: ' + error.message);
+        });
     }
 
     async displayArticle(article) {
@@ -894,6 +5069,8 @@ class UIController {
             this.engine.stop();
         }
         this.stopTimer();
+        this.finishRecording();
+        this.closePlayback();
 
         // Validate article has content
         if (!article.text || article.text.trim().length === 0) {
@@ -909,11 +5086,39 @@ class UIController {
         // Show parsing indicator
         this.showLoading(true, 'Parsing syllables...');
 
+        // Paragraphs stream in from the parser worker (hyphenated with the article's own
+        // language, e.g. a de.wikipedia.org link) and render as they arrive
+        const articleDiv = this.elements.articleContent;
+        const displayId = this.displayId = (this.displayId || 0) + 1;
+        let rendering = null;
+        const renderChunk = (chunk) => {
+            if (displayId !== this.displayId) return; // A newer article took over
+            if (!rendering) {
+                // First paragraph: swap out the previous article
+                this.showLoading(true, 'Rendering syllables...');
+                articleDiv.innerHTML = '';
+                articleDiv.appendChild(this.createArticleIntro(article));
+                // Create main content - render all syllables naturally with original punctuation
+                articleDiv.appendChild(this.articleView.createElement());
+                perfMon.start('DOM Rendering');
+                rendering = Promise.resolve();
+            }
+            rendering = rendering.then(() => this.articleView.append(chunk.wordMap, chunk.headings));
+        };
+
         // Parse text into syllables with word mapping
         perfMon.start('Syllable Parsing');
-        const parsed = this.parser.parse(article.text);
-        const { syllables, wordMap } = parsed;
+        let parsed;
+        try {
+            parsed = await this.parseArticle(article, renderChunk);
+        } catch (error) {
+            console.error('Failed to parse article:', error);
+            parsed = { syllables: [] };
+        }
         perfMon.end('Syllable Parsing');
+        if (displayId !== this.displayId) return;
+
+        const { syllables, wordMap, headings } = parsed;
 
         // Validate that we have syllables to work with
         if (syllables.length === 0) {
@@ -924,39 +5129,22 @@ class UIController {
             return;
         }
 
-        // Update loading message
-        this.showLoading(true, `Rendering ${syllables.length.toLocaleString()} syllables...`);
-
-        // Create display with natural word flowing
-        const articleDiv = this.elements.articleContent;
-        articleDiv.innerHTML = '';
-
-        // Add article intro text
-        const introText = document.createElement('p');
-        introText.className = 'article-intro';
-        introText.innerHTML = `<em>Featured article of the day: <a href="${article.url}" target="_blank" class="article-source-link">source</a></em>`;
-        articleDiv.appendChild(introText);
-
-        // Create main content - render all syllables naturally with original punctuation
-        const mainContent = document.createElement('p');
-        mainContent.className = 'article-text';
-
-        // Clear syllable cache for new article
-        this.syllableCache = [];
+        this.applySections(parsed, article);
 
-        // Render syllables asynchronously
-        perfMon.start('DOM Rendering');
-        await this.renderSyllablesAsync(wordMap, mainContent);
+        // Wait for the last paragraphs to render
+        await rendering;
+        await this.articleView.finish();
         perfMon.end('DOM Rendering');
+        if (displayId !== this.displayId) return;
 
-        articleDiv.appendChild(mainContent);
+        this.wordMap = wordMap;
 
         // Initialize pacing engine
-        this.engine = new PacingEngine(syllables, {
-            speed: parseInt(this.elements.speedControl.value),
-            onSyllableChange: (index, syllable) => this.highlightSyllable(index),
-            onComplete: () => this.onPracticeComplete()
-        });
+        this.engine = this.createEngine(syllables, wordMap, headings);
+        this.onLoopChanged(null);
+        this.resetPhonation();
+        this.resetDisfluencies();
+        this.renderTimingReport(null);
 
         // Enable buttons
         this.elements.quickstartBtn.disabled = false;
@@ -969,6 +5157,26 @@ class UIController {
         this.updateTargetMarker();
     }
 
+    createArticleIntro(article) {
+        // Intro line above the text: source description plus a link when the source has one
+        const introText = document.createElement('p');
+        introText.className = 'article-intro';
+
+        const em = document.createElement('em');
+        em.textContent = article.intro || this.currentSource.label;
+        if (article.url) {
+            em.appendChild(document.createTextNode(': '));
+            const link = document.createElement('a');
+            link.href = article.url;
+            link.target = '_blank';
+            link.className = 'article-source-link';
+            link.textContent = 'source';
+            em.appendChild(link);
+        }
+        introText.appendChild(em);
+        return introText;
+    }
+
     async updateArticleContent(updatedArticle) {
         // Progressive rendering: update article content while preserving play state
         // This is called when the full article arrives after showing the extract
@@ -978,8 +5186,8 @@ class UIController {
         }
 
         // Parse new text into syllables
-        const parsed = this.parser.parse(updatedArticle.text);
-        const { syllables, wordMap } = parsed;
+        const parsed = await this.parseArticle(updatedArticle);
+        const { syllables, wordMap, headings } = parsed;
 
         if (syllables.length === 0) {
             return; // Keep existing content if parsing fails
@@ -997,25 +5205,39 @@ class UIController {
             return;
         }
 
+        this.applySections(parsed, updatedArticle);
+
         // Show loading indicator during update
         this.showLoading(true, 'Loading full article...');
 
+        // Update article content (the full article keeps the intro of the extract it replaces)
+        const article = { intro: this.articleContent && this.articleContent.intro, ...updatedArticle };
+        await this.rerenderPreservingState(article, parsed);
+    }
+
+    async rerenderPreservingState(article, parsed, mapIndex = index => index) {
+        // Swap in newly parsed content without losing play state; mapIndex translates
+        // the old syllable position into the new syllable list
+        const { syllables, wordMap, headings } = parsed;
+
         // Update loading message
         this.showLoading(true, `Rendering ${syllables.length.toLocaleString()} syllables...`);
 
         // Preserve FULL play state: position, elapsed time, pause status
         const wasPlaying = this.engine && this.engine.isPlaying;
         const wasPaused = this.engine && this.engine.isPaused;
-        const currentIndex = this.engine ? this.engine.currentIndex : 0;
-        const elapsedTime = this.engine ? (this.engine.pausedTime || 0) : 0;
+        const cursor = this.engine ? mapIndex(this.engine.cursor) : 0;
+        const loop = this.engine && this.engine.loop;
+        const beatLog = this.engine ? this.engine.beatLog : [];
+        const elapsedTime = this.engine ? this.engine.getElapsedTime() : 0;
 
         // Stop current engine
         if (this.engine) {
             this.engine.stop();
         }
 
-        // Update article content
-        this.articleContent = updatedArticle;
+        this.articleContent = article;
+        this.wordMap = wordMap;
 
         // Re-render with new syllables
         const articleDiv = this.elements.articleContent;
@@ -1032,34 +5254,37 @@ class UIController {
         }
 
         // Re-add intro text
-        const introText = document.createElement('p');
-        introText.className = 'article-intro';
-        introText.innerHTML = `<em>Featured article of the day: <a href="${updatedArticle.url}" target="_blank" class="article-source-link">source</a></em>`;
-        articleDiv.appendChild(introText);
+        articleDiv.appendChild(this.createArticleIntro(this.articleContent));
 
-        const mainContent = document.createElement('p');
-        mainContent.className = 'article-text';
+        // Render syllables asynchronously (this replaces the old view's cache)
+        articleDiv.appendChild(this.articleView.createElement());
+        await this.articleView.append(wordMap, headings);
+        await this.articleView.finish();
 
-        // Clear old cache and build new one
-        this.syllableCache = [];
-
-        // Render syllables asynchronously
-        await this.renderSyllablesAsync(wordMap, mainContent);
+        // Create new pacing engine with updated syllables
+        this.engine = this.createEngine(syllables, wordMap, headings);
+        if (loop) {
+            // Keep drilling the same words (the end maps via the syllable after it)
+            this.engine.loop = { ...loop, start: mapIndex(loop.start), end: mapIndex(loop.end + 1) - 1 };
+        }
 
-        articleDiv.appendChild(mainContent);
+        // The session so far carries over, for the reports and any recording
+        this.engine.beatLog = beatLog.map(beat => {
+            const index = mapIndex(beat.index);
+            return beat.skipped ? { ...beat, index } : { ...beat, index, end: Math.max(index, mapIndex(beat.end + 1) - 1) };
+        });
 
-        // Create new pacing engine with updated syllables
-        this.engine = new PacingEngine(syllables, {
-            speed: parseInt(this.elements.speedControl.value),
-            onSyllableChange: (index, syllable) => this.highlightSyllable(index),
-            onComplete: () => this.onPracticeComplete()
+        // Put the stutter tags back on the same syllables
+        this.disfluencies.remap(mapIndex);
+        this.disfluencies.events.forEach(event => {
+            this.articleView.setMark(event.index, this.disfluencies.typeAt(event.index));
         });
 
         // Restore play state with full state preservation
         if (wasPlaying || wasPaused) {
-            // Restore position in new syllabl list (limit to valid range)
-            this.engine.currentIndex = Math.min(currentIndex, syllables.length - 1);
+            // Restore position in new syllabl list (seek limits it to the valid range)
             this.engine.pausedTime = elapsedTime;
+            this.engine.seek(cursor);
 
             if (wasPlaying) {
                 // Re-start playing from preserved position
@@ -1073,7 +5298,7 @@ class UIController {
                 this.elements.startBtn.disabled = false;
                 this.elements.pauseBtn.disabled = false;
                 // Highlight the current syllable to show position
-                this.highlightSyllable(this.engine.currentIndex);
+                this.highlightSyllable(this.engine.cursor);
             }
         } else {
             this.elements.startBtn.disabled = false;
@@ -1089,38 +5314,616 @@ class UIController {
         this.showLoading(false);
     }
 
-    highlightSyllable(index) {
+    findWordIndex(syllableIndex, wordMap = this.wordMap) {
+        // Binary search: wordMap is ordered by startIndex
+        let low = 0;
+        let high = wordMap.length - 1;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (wordMap[mid].startIndex <= syllableIndex) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return low;
+    }
+
+    openSyllableEditor(syllableIndex, anchorElement) {
+        const wordIndex = this.findWordIndex(syllableIndex);
+        const wordInfo = this.wordMap && this.wordMap[wordIndex];
+        if (!wordInfo) return;
+
+        // Numbers and acronyms come from their own rules (see Acronyms in settings)
+        if (wordInfo.display || /^[A-Z]{2,}s?$/.test(wordInfo.word)) {
+            this.closeSyllableEditor();
+            return;
+        }
+
+        this.editingWord = wordInfo.word;
+        this.elements.syllableEditorLabel.textContent = `Syllables for "${wordInfo.word}":`;
+        this.elements.syllableEditorInput.value = wordInfo.syllables.join('-').toLowerCase();
+        this.elements.syllableEditorReset.disabled = !this.parser.overrides.has(wordInfo.word);
+
+        // Position the editor just below the clicked word
+        const rect = anchorElement.getBoundingClientRect();
+        const editor = this.elements.syllableEditor;
+        editor.classList.remove('hidden');
+        editor.style.top = `${Math.round(rect.bottom + 6)}px`;
+        editor.style.left = `${Math.round(Math.max(8, Math.min(rect.left, window.innerWidth - editor.offsetWidth - 8)))}px`;
+        this.elements.syllableEditorInput.focus();
+        this.elements.syllableEditorInput.select();
+    }
+
+    closeSyllableEditor() {
+        this.editingWord = null;
+        this.elements.syllableEditor.classList.add('hidden');
+    }
+
+    async saveSyllableEditor() {
+        if (!this.editingWord) return;
+
+        try {
+            this.parser.overrides.set(this.editingWord, this.elements.syllableEditorInput.value);
+        } catch (error) {
+            this.showError(error.message);
+            return;
+        }
+
+        this.clearError();
+        this.closeSyllableEditor();
+        try {
+            await this.reparseInPlace();
+        } catch (error) {
+            console.error('Failed to apply syllable override:', error);
+            this.showError('Could not update the article: ' + error.message);
+        }
+    }
+
+    async resetSyllableOverride() {
+        if (!this.editingWord) return;
+
+        try {
+            this.parser.overrides.remove(this.editingWord);
+            this.closeSyllableEditor();
+            await this.reparseInPlace();
+        } catch (error) {
+            console.error('Failed to reset syllable override:', error);
+            this.showError('Could not reset the syllable split: ' + error.message);
+        }
+    }
+
+    async reparseInPlace() {
+        // Re-parse the current article (e.g. after a syllable override) and keep the
+        // pacing position on the same word - word boundaries don't change, only syllables
+        if (!this.articleContent || !this.wordMap) return;
+
+        const oldWordMap = this.wordMap;
+        const parsed = await this.parseArticle(this.articleContent);
+        if (parsed.wordMap.length !== oldWordMap.length) {
+            // Shouldn't happen, but fall back to a full reload rather than a wrong position
+            await this.displayArticle(this.articleContent);
+            return;
+        }
+
+        const totalOld = oldWordMap.length ? oldWordMap[oldWordMap.length - 1].endIndex + 1 : 0;
+        const mapIndex = (index) => {
+            if (index >= totalOld) return parsed.syllables.length;
+            const wordIndex = this.findWordIndex(index, oldWordMap);
+            const offset = index - oldWordMap[wordIndex].startIndex;
+            const newWord = parsed.wordMap[wordIndex];
+            return newWord.startIndex + Math.min(offset, newWord.syllables.length - 1);
+        };
+
+        await this.rerenderPreservingState(this.articleContent, parsed, mapIndex);
+    }
+
+    highlightSyllable(index, end = this.engine ? this.engine.getBeatEnd(index) : index) {
         // Remove previous highlight (track last active to avoid DOM search)
-        if (this.lastActiveSyllable) {
-            this.lastActiveSyllable.classList.remove('active');
+        this.activeSyllables.forEach(element => element.classList.remove('active'));
+        this.activeSyllables = [];
+
+        // Use cached syllable element instead of DOM query (major performance improvement);
+        // the view keeps the blocks around this position rendered. Word and phrase
+        // units light up every syllable in the unit
+        this.articleView.setFocus(index);
+        for (let i = index; i <= end; i++) {
+            const element = this.articleView.getSyllableElement(i);
+            if (element) {
+                element.classList.add('active');
+                this.activeSyllables.push(element);
+            }
         }
 
-        // Use cached syllable element instead of DOM query (major performance improvement)
-        const currentSyllable = this.syllableCache[index];
+        const currentSyllable = this.activeSyllables[0];
         if (currentSyllable) {
-            currentSyllable.classList.add('active');
-            this.lastActiveSyllable = currentSyllable;
 
-            // Auto-scroll to keep the syllable in view (center of viewport)
-            const scrollContainer = this.elements.articleContent;
-            const containerRect = scrollContainer.getBoundingClientRect();
+            // Auto-scroll to keep the syllable in view (center of viewport). The
+            // article section grows with its text, so it's the page that scrolls
             const syllableRect = currentSyllable.getBoundingClientRect();
+            const viewportHeight = window.innerHeight;
 
             // Check if syllable is outside visible area
-            if (syllableRect.top < containerRect.top || syllableRect.bottom > containerRect.bottom) {
-                // Scroll the syllable to roughly the middle of the container
-                const scrollTop = scrollContainer.scrollTop;
-                const offset = syllableRect.top - containerRect.top;
-                scrollContainer.scrollTop = scrollTop + offset - (containerRect.height / 2) + (syllableRect.height / 2);
+            if (syllableRect.top < 0 || syllableRect.bottom > viewportHeight) {
+                // Scroll the syllable to roughly the middle of the window
+                window.scrollBy(0, syllableRect.top - (viewportHeight / 2) + (syllableRect.height / 2));
+            }
+        }
+
+        this.updateProgressInfo();
+    }
+
+    seekTo(index) {
+        // Move the pacing cursor; elapsed time is kept, the target marker is re-planned
+        if (!this.engine) return;
+
+        const target = this.engine.seekTo(this.engine.unit, index);
+        this.highlightSyllable(target);
+        this.updateTargetMarker();
+    }
+
+    stepCursor(direction) {
+        // Returns whether the cursor moved
+        if (!this.engine) return false;
+
+        const target = this.engine.step(this.elements.stepUnit.value, direction);
+        if (target === null) return false; // only while paused or stopped
+        this.highlightSyllable(target);
+        this.updateTargetMarker();
+        return true;
+    }
+
+    toggleLoop() {
+        // Drill the selected text, or the sentence at the cursor, then move on
+        if (!this.engine) return;
+        if (this.engine.loop) {
+            this.engine.clearLoop();
+            return;
+        }
+
+        const range = this.getSelectedSyllableRange();
+        const start = range ? range.start : this.engine.findUnitStart('sentence', this.engine.cursor);
+        const end = range ? range.end : this.engine.findUnitEnd('sentence', start);
+
+        this.engine.setLoop(start, end, {
+            repetitions: parseInt(this.elements.loopRepetitions.value),
+            slowdown: parseFloat(this.elements.loopSlowdown.value)
+        });
+        this.highlightSyllable(this.engine.cursor);
+        this.updateTargetMarker();
+    }
+
+    getSelectedSyllableRange() {
+        // First and last syllable index covered by a text selection in the article, or null
+        const selection = window.getSelection();
+        if (!selection || selection.isCollapsed || selection.rangeCount === 0) return null;
+
+        // Mapped through the view, since the selected text may be in a plain-text block
+        const range = selection.getRangeAt(0);
+        const start = this.articleView.syllableAt(range.startContainer, range.startOffset, 'start');
+        const end = this.articleView.syllableAt(range.endContainer, range.endOffset, 'end');
+        if (start === null || end === null || end < start) return null;
+
+        selection.removeAllRanges();
+        return { start, end };
+    }
+
+    onLoopChanged(loop) {
+        this.elements.loopBtn.textContent = loop ? 'Stop loop' : 'Loop';
+        this.updateProgressInfo();
+    }
+
+    startPhonationTracking() {
+        // Voiced stretches are timed on the engine's elapsed clock and skip pauses
+        this.phonation.start(() => (
+            this.engine && this.engine.isPlaying && !this.engine.isPaused ? this.engine.getElapsedTime() : null
+        )).catch((error) => {
+            this.phonation.stop();
+            this.showError('Could not use the microphone: ' + error.message);
+        });
+    }
+
+    resetPhonation() {
+        this.phonation.stop();
+        this.phonation.clear();
+        this.renderPhonationReport([]);
+    }
+
+    showPhonationReport() {
+        if (!this.micEnabled || !this.engine) return;
+        this.renderPhonationReport(PhonationReport.build(
+            this.engine, this.engine.beatLog, this.phonation.getSegments(), this.engine.getElapsedTime()
+        ));
+    }
+
+    async analyzeRecording(file) {
+        // A recording is compared with the pace from the start of the current article
+        if (!this.engine) {
+            this.showError('Load an article before analysing a recording.');
+            return;
+        }
+
+        try {
+            const segments = await PhonationTracker.analyzeFile(file);
+            this.clearError();
+            this.renderPhonationReport(PhonationReport.build(this.engine, this.engine.planBeats(), segments));
+        } catch (error) {
+            console.error('Failed to analyse recording:', error);
+            this.showError('Could not analyse the recording: ' + error.message);
+        }
+    }
+
+    renderPhonationReport(rows) {
+        const container = this.elements.phonationReport;
+        container.innerHTML = '';
+        if (rows.length === 0) {
+            container.classList.add('hidden');
+            return;
+        }
+
+        const table = document.createElement('table');
+        const header = table.createTHead().insertRow();
+        ['Sentence', 'Voiced', 'Gaps', 'Rate (syll/s)', 'Target'].forEach(title => {
+            const cell = document.createElement('th');
+            cell.textContent = title;
+            header.appendChild(cell);
+        });
+
+        const body = table.createTBody();
+        rows.forEach(row => {
+            const tr = body.insertRow();
+            [
+                this.sentenceExcerpt(row.start, row.end),
+                `${Math.round(row.voicedRatio * 100)}%`,
+                String(row.gaps),
+                row.rate === null ? '–' : row.rate.toFixed(1),
+                row.targetRate === null ? '–' : row.targetRate.toFixed(1)
+            ].forEach(text => {
+                tr.insertCell().textContent = text;
+            });
+        });
+
+        const caption = table.createCaption();
+        caption.textContent = 'Phonation by sentence';
+        container.appendChild(table);
+        container.classList.remove('hidden');
+    }
+
+    sentenceExcerpt(start, end) {
+        // The first few words of a sentence, to label its row in the report
+        const words = [];
+        for (let i = this.findWordIndex(start); i < this.wordMap.length && this.wordMap[i].startIndex <= end; i++) {
+            words.push(this.wordMap[i].word);
+            if (words.length === 6) {
+                return words.join(' ') + '…';
             }
         }
+        return words.join(' ');
+    }
+
+    tagDisfluency(type) {
+        // Tags the highlighted syllable of a running (or paused) session
+        if (!this.engine || !this.engine.isPlaying || this.playback || this.activeSyllables.length === 0) return;
+
+        const index = parseInt(this.activeSyllables[0].dataset.index);
+        this.disfluencies.tag(index, type, this.engine.beatLog.length);
+        this.articleView.setMark(index, this.disfluencies.typeAt(index));
+        this.updateProgressInfo();
+    }
 
+    untagDisfluency() {
+        const event = this.disfluencies.untagLast();
+        if (!event) return;
+        this.articleView.setMark(event.index, this.disfluencies.typeAt(event.index));
         this.updateProgressInfo();
+        if (!this.elements.disfluencyReport.classList.contains('hidden')) {
+            this.showDisfluencyReport();
+        }
+    }
+
+    resetDisfluencies() {
+        this.disfluencies.clear();
+        this.articleView.clearMarks();
+        this.renderDisfluencyReport(null);
+    }
+
+    showDisfluencyReport() {
+        if (!this.engine || this.engine.beatLog.length === 0) return;
+        this.renderDisfluencyReport(DisfluencyTally.build(
+            this.engine, this.engine.beatLog, this.disfluencies.events, this.engine.getElapsedTime()
+        ));
+    }
+
+    renderDisfluencyReport(report) {
+        const container = this.elements.disfluencyReport;
+        container.innerHTML = '';
+        if (!report) {
+            container.classList.add('hidden');
+            return;
+        }
+
+        const types = DisfluencyTally.TYPES
+            .filter(type => report.byType[type.id])
+            .map(type => `${type.label} ${report.byType[type.id]}`);
+        const summary = document.createElement('p');
+        summary.className = 'disfluency-summary';
+        summary.textContent = `${report.percentSS.toFixed(1)} %SS · ` +
+            `${report.disfluencies} stuttered of ${report.syllables} syllables · ` +
+            `${report.perMinute.toFixed(1)} per minute` +
+            (types.length > 0 ? ` · ${types.join(', ')}` : '');
+        container.appendChild(summary);
+
+        const table = document.createElement('table');
+        const header = table.createTHead().insertRow();
+        ['Sentence', 'Syllables', 'Stuttered', '%SS'].forEach(title => {
+            const cell = document.createElement('th');
+            cell.textContent = title;
+            header.appendChild(cell);
+        });
+
+        const body = table.createTBody();
+        report.sentences.forEach(row => {
+            const tr = body.insertRow();
+            [
+                this.sentenceExcerpt(row.start, row.end),
+                String(row.syllables),
+                String(row.disfluencies),
+                row.percentSS.toFixed(1)
+            ].forEach(text => {
+                tr.insertCell().textContent = text;
+            });
+        });
+
+        const caption = table.createCaption();
+        caption.textContent = 'Stuttering by sentence';
+        container.appendChild(table);
+        container.classList.remove('hidden');
+    }
+
+    showTimingReport() {
+        if (!this.engine || this.engine.beatLog.length === 0) return;
+        this.renderTimingReport(this.engine.getTimingReport(), this.engine.beatLog);
+    }
+
+    renderTimingReport(timing, beats) {
+        // How closely the highlight kept to its schedule: a summary, then each beat
+        const container = this.elements.timingReport;
+        container.innerHTML = '';
+        if (!timing) {
+            container.classList.add('hidden');
+            return;
+        }
+
+        const summary = document.createElement('p');
+        summary.className = 'timing-summary';
+        summary.textContent = `${timing.beats} beats · ${timing.meanLateness.toFixed(1)}ms late on average · ` +
+            `${timing.maxLateness.toFixed(1)}ms at most · ` +
+            `${timing.drift.toFixed(1)}ms drift by the last beat` +
+            (timing.skipped > 0 ? ` · ${timing.skipped} skipped while the tab was in the background` : '');
+        container.appendChild(summary);
+
+        const details = document.createElement('details');
+        const toggle = document.createElement('summary');
+        toggle.textContent = 'Beat by beat';
+        details.appendChild(toggle);
+
+        const table = document.createElement('table');
+        const header = table.createTHead().insertRow();
+        ['Beat', 'Syllables', 'Scheduled (s)', 'Actual (s)', 'Late (ms)'].forEach(title => {
+            const cell = document.createElement('th');
+            cell.textContent = title;
+            header.appendChild(cell);
+        });
+
+        const body = table.createTBody();
+        beats.forEach((beat, number) => {
+            const tr = body.insertRow();
+            const end = beat.skipped ? beat.index : beat.end;
+            [
+                String(number + 1),
+                this.engine.syllables.slice(beat.index, end + 1).join('·'),
+                (beat.scheduled / 1000).toFixed(2),
+                beat.skipped ? 'skipped' : (beat.actual / 1000).toFixed(2),
+                beat.skipped ? '–' : (beat.actual - beat.scheduled).toFixed(1)
+            ].forEach(text => {
+                tr.insertCell().textContent = text;
+            });
+        });
+
+        const caption = table.createCaption();
+        caption.textContent = 'Beat timing';
+        details.appendChild(table);
+        container.appendChild(details);
+        container.classList.remove('hidden');
+    }
+
+    startRecording() {
+        this.recorder.start(() => this.engine.getElapsedTime()).then(() => {
+            // Started while paused, or paused during the permission prompt
+            if (this.engine && this.engine.isPaused) this.recorder.pause();
+        }).catch((error) => {
+            this.showError('Could not record: ' + error.message);
+        });
+    }
+
+    async finishRecording() {
+        // Save the session with the beats it was paced to. Everything is read from the
+        // engine now, before a new article or a reset can replace it
+        if (!this.recorder.isRecording() || !this.engine) return;
+
+        const startElapsed = this.recorder.startElapsed;
+        const beats = this.engine.beatLog
+            .filter(beat => !beat.skipped && beat.actual + beat.duration > startElapsed)
+            .map(beat => ({ index: beat.index, end: beat.end, time: Math.max(0, beat.actual - startElapsed) }));
+        const recording = {
+            createdAt: Date.now(),
+            article: { title: this.articleContent.title, url: this.articleContent.url || null },
+            syllableCount: this.engine.syllables.length,
+            beats: beats,
+            duration: this.engine.getElapsedTime() - startElapsed
+        };
+
+        try {
+            recording.blob = await this.recorder.stop();
+            if (!recording.blob || beats.length === 0) return;
+            await this.recordings.add(recording);
+            await this.renderRecordingList();
+        } catch (error) {
+            console.error('Failed to save recording:', error);
+            this.showError('Could not save the recording: ' + error.message);
+        }
+    }
+
+    async renderRecordingList() {
+        const list = this.elements.recordingList;
+        let recordings = [];
+        try {
+            recordings = await this.recordings.list();
+        } catch (error) {
+            console.log('ℹ️ Recordings unavailable:', error.message);
+        }
+
+        list.innerHTML = '';
+        if (recordings.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'recording-empty';
+            empty.textContent = 'No recordings yet.';
+            list.appendChild(empty);
+            return;
+        }
+
+        recordings.forEach(recording => {
+            const item = document.createElement('li');
+            item.className = 'recording-item';
+            item.textContent = `${recording.article.title} · ${new Date(recording.createdAt).toLocaleString()} · ` +
+                `${this.formatTime(recording.duration)} `;
+
+            const playBtn = document.createElement('button');
+            playBtn.className = 'recording-action';
+            playBtn.textContent = '▶';
+            playBtn.dataset.recordingId = recording.id;
+            playBtn.dataset.action = 'play';
+            playBtn.setAttribute('aria-label', `Play recording of ${recording.article.title}`);
+            item.appendChild(playBtn);
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'recording-action';
+            removeBtn.textContent = '×';
+            removeBtn.dataset.recordingId = recording.id;
+            removeBtn.setAttribute('aria-label', `Delete recording of ${recording.article.title}`);
+            item.appendChild(removeBtn);
+            list.appendChild(item);
+        });
+    }
+
+    async deleteRecording(id) {
+        if (this.playback && this.playback.recording.id === id) {
+            this.closePlayback();
+        }
+        try {
+            await this.recordings.remove(id);
+            await this.renderRecordingList();
+        } catch (error) {
+            console.error('Failed to delete recording:', error);
+            this.showError('Could not delete the recording: ' + error.message);
+        }
+    }
+
+    async playRecording(id) {
+        let recording;
+        try {
+            recording = await this.recordings.get(id);
+        } catch (error) {
+            console.error('Failed to open recording:', error);
+            this.showError('Could not open the recording: ' + error.message);
+            return;
+        }
+        if (!recording) return;
+
+        // The beats point at syllables, so the same article must be on screen
+        if (!this.engine || !this.articleContent ||
+            this.articleContent.title !== recording.article.title ||
+            this.engine.syllables.length !== recording.syllableCount) {
+            this.showError(`Load "${recording.article.title}" with the same sections and syllable settings to play this recording along with its text.`);
+            return;
+        }
+
+        // Practice and playback share the highlight, so practice pauses
+        if (this.engine.isPlaying && !this.engine.isPaused) {
+            this.togglePause();
+        }
+        this.closePlayback();
+        this.clearError();
+
+        const url = URL.createObjectURL(recording.blob);
+        const audio = this.elements.playbackAudio;
+        audio.src = url;
+        this.elements.playbackTitle.textContent =
+            `${recording.article.title} · ${new Date(recording.createdAt).toLocaleString()}`;
+        this.elements.playbackBar.classList.remove('hidden');
+
+        // The audio element's play event starts the highlighting (see followPlayback)
+        this.playback = { recording, url, frameId: null, beat: -1 };
+        audio.play().catch((error) => {
+            console.log('ℹ️ Playback did not start automatically:', error.message);
+        });
+    }
+
+    syncPlayback() {
+        // Highlight the beat heard at the recording's current time
+        const beats = this.playback.recording.beats;
+        const beat = SessionRecorder.beatAt(beats, this.elements.playbackAudio.currentTime * 1000);
+        if (beat !== this.playback.beat && beat >= 0) {
+            this.playback.beat = beat;
+            this.highlightSyllable(beats[beat].index, beats[beat].end);
+        }
+    }
+
+    followPlayback() {
+        // Every frame while the recording plays; stopped on pause and at the end
+        if (!this.playback) return;
+
+        this.syncPlayback();
+        this.playback.frameId = requestAnimationFrame(() => this.followPlayback());
+    }
+
+    stopFollowingPlayback() {
+        if (this.playback && this.playback.frameId !== null) {
+            cancelAnimationFrame(this.playback.frameId);
+            this.playback.frameId = null;
+        }
+    }
+
+    seekPlayback(syllableIndex) {
+        // Jump to the first time this syllable was paced in the recording
+        const beat = this.playback.recording.beats.find(candidate =>
+            syllableIndex >= candidate.index && syllableIndex <= candidate.end);
+        if (beat) {
+            this.elements.playbackAudio.currentTime = beat.time / 1000;
+        }
+    }
+
+    closePlayback() {
+        if (!this.playback) return;
+
+        this.stopFollowingPlayback();
+        const audio = this.elements.playbackAudio;
+        audio.pause();
+        audio.removeAttribute('src');
+        audio.load();
+        URL.revokeObjectURL(this.playback.url);
+        this.elements.playbackBar.classList.add('hidden');
+        this.playback = null;
     }
 
     startPractice() {
         if (!this.engine) return;
 
+        this.closePlayback();
+        this.resetDisfluencies();
+        if (this.metronome.isEnabled()) this.metronome.ensureContext();
+        if (this.micEnabled) this.startPhonationTracking();
+        if (this.recordEnabled) this.startRecording();
         this.engine.start();
         this.elements.startBtn.disabled = true;
         this.elements.pauseBtn.disabled = false;
@@ -1131,20 +5934,32 @@ class UIController {
         if (!this.engine) return;
 
         if (this.engine.isPaused) {
+            if (this.metronome.isEnabled()) this.metronome.ensureContext();
+            this.closePlayback();
             this.engine.resume();
+            this.recorder.resume();
             this.elements.pauseBtn.textContent = 'Pause';
             this.startTimer();
         } else {
             this.engine.pause();
+            this.recorder.pause();
             this.elements.pauseBtn.textContent = 'Resume';
             this.stopTimer();
+            this.showPhonationReport();
+            this.showDisfluencyReport();
+            this.showTimingReport();
         }
     }
 
     resetPractice() {
         if (!this.engine) return;
 
+        this.finishRecording();
+        // The tally stands until the next session starts
+        this.showDisfluencyReport();
         this.engine.reset();
+        this.resetPhonation();
+        this.renderTimingReport(null);
         this.elements.startBtn.disabled = false;
         this.elements.pauseBtn.disabled = true;
         this.elements.pauseBtn.textContent = 'Pause';
@@ -1223,6 +6038,20 @@ class UIController {
         // Clear existing marks
         this.elements.timeProgressMarks.innerHTML = '';
 
+        // Mark where each speed program stage begins
+        if (this.speedProgram.isActive()) {
+            const starts = this.speedProgram.getStageStarts();
+            starts.forEach((start, index) => {
+                if (start === 0 || start >= this.targetDuration) return;
+
+                const mark = document.createElement('div');
+                mark.className = 'time-progress-mark stage';
+                mark.title = `${this.speedProgram.stages[index].speed}ms from ${this.formatTime(start)}`;
+                mark.style.left = `${(start / this.targetDuration) * 100}%`;
+                this.elements.timeProgressMarks.appendChild(mark);
+            });
+        }
+
         // Calculate total minutes in target duration
         const totalMinutes = Math.floor(this.targetDuration / 60000);
 
@@ -1259,38 +6088,40 @@ class UIController {
             return;
         }
 
-        // Get current speed (ms per syllable)
-        const timePerSyllable = parseInt(this.elements.speedControl.value);
-
         // Calculate how many syllables can be read in target duration
-        const targetSyllables = this.targetDuration / timePerSyllable;
+        // (at the current speed, with stressed and word-final syllables held longer
+        // if enabled, plus the pauses at punctuation, paragraphs and headings)
+        // Planned from the next syllable and the time already used, so the marker stays
+        // right after seeking
+        const next = this.engine.getNextBeat();
+        const targetSyllables = this.engine.getSyllablesWithin(this.targetDuration - next.at, next.index, next.at);
 
         // Update in-text marker
-        this.updateInTextTargetMarker(Math.floor(targetSyllables));
+        this.updateInTextTargetMarker(targetSyllables);
     }
 
     updateInTextTargetMarker(targetSyllableIndex) {
         // Remove any existing in-text marker
         this.removeInTextTargetMarker();
 
-        // Get current speed for time calculation
-        const timePerSyllable = parseInt(this.elements.speedControl.value);
         let actualIndex = targetSyllableIndex;
         let displayTime;
 
         // Check if target is beyond the text length
-        if (targetSyllableIndex >= this.syllableCache.length) {
+        const totalSyllables = this.engine.syllables.length;
+        if (targetSyllableIndex >= totalSyllables) {
             // Put cursor at the end and show actual achievable time
-            actualIndex = this.syllableCache.length - 1;
-            const actualDuration = this.syllableCache.length * timePerSyllable;
+            actualIndex = totalSyllables - 1;
+            const next = this.engine.getNextBeat();
+            const actualDuration = next.at + this.engine.getDuration(totalSyllables, next.index, next.at);
             displayTime = this.formatTime(actualDuration);
         } else {
             // Show the target time
             displayTime = this.formatTime(this.targetDuration);
         }
 
-        // Get the syllable element at the actual position
-        const targetSyllableElement = this.syllableCache[actualIndex];
+        // Get the syllable element at the actual position (its block stays rendered)
+        const targetSyllableElement = this.articleView.pin(actualIndex);
         if (!targetSyllableElement) {
             return;
         }
@@ -1301,8 +6132,9 @@ class UIController {
         marker.setAttribute('data-target-marker', 'true');
         marker.innerHTML = `<span class="target-cursor"><span class="target-cursor-time">${displayTime}</span><span class="target-cursor-flag"></span><span class="target-cursor-line"></span></span>`;
 
-        // Insert marker after the target syllable
-        targetSyllableElement.parentNode.insertBefore(marker, targetSyllableElement.nextSibling);
+        // Insert marker after the target syllable (after the whole group for spoken numbers)
+        const anchor = targetSyllableElement.closest('ruby') || targetSyllableElement;
+        anchor.parentNode.insertBefore(marker, anchor.nextSibling);
     }
 
     formatTime(milliseconds) {
@@ -1327,8 +6159,23 @@ class UIController {
         // Clamp current to not exceed total
         const currentDisplay = Math.min(progress.current + 1, progress.total);
 
-        this.elements.progressInfo.textContent =
-            `Syllable ${currentDisplay} of ${progress.total} (${progress.percentage}%)`;
+        let text = `Syllable ${currentDisplay} of ${progress.total} (${progress.percentage}%)`;
+
+        // Repetition counter while drilling a loop
+        const loop = this.engine.loop;
+        if (loop) {
+            text += loop.repetitions > 0
+                ? ` · Repetition ${loop.repetition} of ${loop.repetitions}`
+                : ` · Repetition ${loop.repetition}`;
+        }
+
+        // Running stutter count once anything is tagged
+        const stutters = this.disfluencies.events.length;
+        if (stutters > 0) {
+            text += ` · ${stutters} stutter${stutters === 1 ? '' : 's'} tagged`;
+        }
+
+        this.elements.progressInfo.textContent = text;
     }
 
     onPracticeComplete() {
@@ -1337,6 +6184,13 @@ class UIController {
         this.elements.pauseBtn.textContent = 'Pause';
         this.stopTimer();
         this.elements.progressInfo.textContent = 'Practice complete!';
+
+        // Release the microphone and show how the session went
+        this.phonation.stop();
+        this.showPhonationReport();
+        this.showDisfluencyReport();
+        this.finishRecording();
+        this.showTimingReport();
     }
 
     showLoading(show, message = 'Loading article...') {
@@ -1363,25 +6217,30 @@ class UIController {
 
     disableLoadButtons(disabled) {
         this.elements.loadCustomBtn.disabled = disabled;
+        this.elements.sourceSelect.disabled = disabled;
         this.elements.articleInput.disabled = disabled;
+        this.elements.articleTextInput.disabled = disabled;
+        this.elements.articleChoice.disabled = disabled;
+        this.elements.fileInput.disabled = disabled;
     }
 
-    prefetchTomorrowArticle() {
+    cacheLanguagePatterns(language) {
+        // Ask the service worker to keep this language's hyphenation patterns for offline use
+        if (!('serviceWorker' in navigator) || !navigator.serviceWorker.controller) return;
+
+        navigator.serviceWorker.controller.postMessage({
+            type: 'CACHE_URLS',
+            urls: [`${HYPHENATION_PATTERN_URL}${LANGUAGES[language].hyphenation}.js`]
+        });
+    }
+
+    prefetchTomorrowArticle(source) {
         // Pre-fetch tomorrow's featured article in the background for instant loading
         // This runs after today's article has loaded successfully
+        if (!source || typeof source.prefetchNext !== 'function') return;
+
         setTimeout(() => {
-            const tomorrow = new Date();
-            tomorrow.setDate(tomorrow.getDate() + 1);
-
-            console.log('🔮 Prefetching tomorrow\'s featured article for instant loading...');
-
-            WikipediaService.getFeaturedArticle(
-                tomorrow.getFullYear(),
-                tomorrow.getMonth() + 1,
-                tomorrow.getDate()
-            ).then(() => {
-                console.log('✅ Tomorrow\'s article cached successfully');
-            }).catch((error) => {
+            Promise.resolve(source.prefetchNext()).catch((error) => {
                 // Silently fail - this is just a performance optimization
                 console.log('ℹ️ Could not prefetch tomorrow\'s article:', error.message);
             });
@@ -1447,17 +6306,20 @@ const perfMon = new PerformanceMonitor();
 // INITIALIZE APP
 // ============================================================
 
-document.addEventListener('DOMContentLoaded', () => {
-    // Calculate actual page load time using Navigation Timing API
-    if (performance.timing) {
-        const pageLoadTime = performance.timing.domContentLoadedEventStart - performance.timing.navigationStart;
-        perfMon.timings['Page Load → DOMContentLoaded'] = pageLoadTime;
-        console.log(`⏱️ [MEASURED] Page Load → DOMContentLoaded: ${pageLoadTime.toFixed(2)}ms`);
-    }
+// app.js is also loaded by parser-worker.js for the parser classes; only the page boots the UI
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        // Calculate actual page load time using Navigation Timing API
+        if (performance.timing) {
+            const pageLoadTime = performance.timing.domContentLoadedEventStart - performance.timing.navigationStart;
+            perfMon.timings['Page Load → DOMContentLoaded'] = pageLoadTime;
+            console.log(`⏱️ [MEASURED] Page Load → DOMContentLoaded: ${pageLoadTime.toFixed(2)}ms`);
+        }
 
-    new UIController();
-    registerServiceWorker();
-});
+        new UIController();
+        registerServiceWorker();
+    });
+}
 
 // ============================================================
 // SERVICE WORKER REGISTRATION
@@ -0,0 +1,52 @@
+// Magpie Talk Parser Worker
+// Parses article sections into syllables off the main thread and streams the
+// result back one paragraph at a time, so the page can render the first
+// paragraph while the rest is still being parsed. The parser classes come from
+// app.js itself, which only boots the UI when it has a document.
+
+// Workers have no localStorage: the page sends the parser's saved settings
+// (custom acronyms, syllable overrides, syllabifier) with every request
+const workerStorage = {};
+self.localStorage = {
+    getItem: (key) => (Object.prototype.hasOwnProperty.call(workerStorage, key) ? workerStorage[key] : null),
+    setItem: (key, value) => { workerStorage[key] = String(value); },
+    removeItem: (key) => { delete workerStorage[key]; }
+};
+
+// The browser builds of Hypher and its patterns register on `window`
+self.window = self;
+
+importScripts(
+    'https://cdnjs.cloudflare.com/ajax/libs/hypher/0.2.5/hypher.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/hypher/0.2.5/patterns/en-us.js',
+    'pronunciations.js',
+    'app.js'
+);
+
+const parser = new SyllableParser();
+
+self.onmessage = async (event) => {
+    const { id, sections, selected, language, settings } = event.data;
+
+    try {
+        Object.entries(settings).forEach(([key, value]) => {
+            if (value === null || value === undefined) {
+                self.localStorage.removeItem(key);
+            } else {
+                self.localStorage.setItem(key, value);
+            }
+        });
+        // Pick up acronyms and overrides edited on the page since the last request
+        parser.acronyms = new AcronymLexicon();
+        parser.overrides = new SyllableOverrides();
+        parser.setSyllabifier(settings.syllabifier);
+        await parser.setLanguage(language);
+
+        for (const chunk of parser.parseSectionsIncrementally(sections, new Set(selected))) {
+            self.postMessage({ id, type: 'chunk', chunk });
+        }
+        self.postMessage({ id, type: 'done' });
+    } catch (error) {
+        self.postMessage({ id, type: 'error', message: error.message });
+    }
+};
@@ -0,0 +1,40 @@
+// Magpie Talk Reading Passage Library
+// Standard reading passages used for repeatable speech measurement.
+// Bundled with the app (and precached by the service worker) so they load
+// without any network call. Bump `version` whenever a passage text changes so
+// recorded sessions can be compared against the exact same wording.
+// Every passage is in the public domain; `source` says where its text comes from.
+
+const PASSAGE_LIBRARY = {
+    version: '2.0.0',
+    passages: [
+        {
+            id: 'north-wind-and-sun',
+            title: 'The North Wind and the Sun',
+            level: 'Level 1 - short',
+            source: 'Aesop, in the specimen text of the International Phonetic Association (1912 onwards)',
+            text: 'The North Wind and the Sun were disputing which was the stronger, when a traveler came along wrapped in a warm cloak. They agreed that the one who first succeeded in making the traveler take his cloak off should be considered stronger than the other. Then the North Wind blew as hard as he could, but the more he blew the more closely did the traveler fold his cloak around him; and at last the North Wind gave up the attempt. Then the Sun shined out warmly, and immediately the traveler took off his cloak. And so the North Wind was obliged to confess that the Sun was the stronger of the two.'
+        },
+        {
+            id: 'alice-riverbank',
+            title: 'Alice\'s Adventures in Wonderland',
+            level: 'Level 1 - short',
+            source: 'Carroll, L. (1865). Alice\'s Adventures in Wonderland, chapter 1 (first paragraph)',
+            text: 'Alice was beginning to get very tired of sitting by her sister on the bank, and of having nothing to do: once or twice she had peeped into the book her sister was reading, but it had no pictures or conversations in it, \'and what is the use of a book,\' thought Alice \'without pictures or conversations?\''
+        },
+        {
+            id: 'hare-and-tortoise',
+            title: 'The Hare and the Tortoise',
+            level: 'Level 2 - medium',
+            source: 'Aesop, translated by Townsend, G. F. (1867). Three Hundred Aesop\'s Fables',
+            text: 'A Hare one day ridiculed the short feet and slow pace of the Tortoise, who replied, laughing: "Though you be swift as the wind, I will beat you in a race." The Hare, believing her assertion to be simply impossible, assented to the proposal; and they agreed that the Fox should choose the course and fix the goal. On the day appointed for the race the two started together. The Tortoise never for a moment stopped, but went on with a slow but steady pace straight to the end of the course. The Hare, lying down by the wayside, fell fast asleep. At last waking up, and moving as fast as he could, he saw the Tortoise had reached the goal, and was comfortably dozing after her fatigue. Slow but steady wins the race.'
+        },
+        {
+            id: 'gettysburg-address',
+            title: 'The Gettysburg Address',
+            level: 'Level 3 - long',
+            source: 'Lincoln, A. (1863). Address at Gettysburg, Pennsylvania (Bliss copy)',
+            text: 'Four score and seven years ago our fathers brought forth on this continent, a new nation, conceived in Liberty, and dedicated to the proposition that all men are created equal.\n\nNow we are engaged in a great civil war, testing whether that nation, or any nation so conceived and so dedicated, can long endure. We are met on a great battle-field of that war. We have come to dedicate a portion of that field, as a final resting place for those who here gave their lives that that nation might live. It is altogether fitting and proper that we should do this.\n\nBut, in a larger sense, we can not dedicate - we can not consecrate - we can not hallow - this ground. The brave men, living and dead, who struggled here, have consecrated it, far above our poor power to add or detract. The world will little note, nor long remember what we say here, but it can never forget what they did here. It is for us the living, rather, to be dedicated here to the unfinished work which they who fought here have thus far so nobly advanced. It is rather for us to be here dedicated to the great task remaining before us - that from these honored dead we take increased devotion to that cause for which they gave the last full measure of devotion - that we here highly resolve that these dead shall not have died in vain - that this nation, under God, shall have a new birth of freedom - and that government of the people, by the people, for the people, shall not perish from the earth.'
+        }
+    ]
+};
@@ -0,0 +1,392 @@
+// Magpie Talk Pronunciation Lexicon
+// A subset of the CMU Pronouncing Dictionary (ARPAbet, stress digits on the
+// vowels: 1 = primary, 2 = secondary, 0 = unstressed). Each vowel phone is one
+// spoken syllable, so "walked" is one beat and "business" two, whatever the
+// spelling suggests. Covers common words whose spelling misleads orthographic
+// hyphenation plus the vocabulary of the bundled reading passages; anything
+// missing falls back to the hyphenation patterns.
+
+const PRONUNCIATION_LEXICON = {
+    version: '1.1.0',
+    source: 'CMU Pronouncing Dictionary 0.7b (subset)',
+    entries: {
+        // Past tenses where -ed is not a syllable
+        'walked': 'W AO1 K T',
+        'talked': 'T AO1 K T',
+        'looked': 'L UH1 K T',
+        'liked': 'L AY1 K T',
+        'worked': 'W ER1 K T',
+        'asked': 'AE1 S K T',
+        'helped': 'HH EH1 L P T',
+        'stopped': 'S T AA1 P T',
+        'jumped': 'JH AH1 M P T',
+        'laughed': 'L AE1 F T',
+        'called': 'K AO1 L D',
+        'played': 'P L EY1 D',
+        'stayed': 'S T EY1 D',
+        'tried': 'T R AY1 D',
+        'cried': 'K R AY1 D',
+        'died': 'D AY1 D',
+        'lived': 'L IH1 V D',
+        'loved': 'L AH1 V D',
+        'moved': 'M UW1 V D',
+        'used': 'Y UW1 Z D',
+        'turned': 'T ER1 N D',
+        'learned': 'L ER1 N D',
+        'opened': 'OW1 P AH0 N D',
+        'happened': 'HH AE1 P AH0 N D',
+        'seemed': 'S IY1 M D',
+        'showed': 'SH OW1 D',
+        'named': 'N EY1 M D',
+        'changed': 'CH EY1 N JH D',
+        'arrived': 'ER0 AY1 V D',
+        'believed': 'B IH0 L IY1 V D',
+        'received': 'R AH0 S IY1 V D',
+        'followed': 'F AA1 L OW0 D',
+        'answered': 'AE1 N S ER0 D',
+        'considered': 'K AH0 N S IH1 D ER0 D',
+        'agreed': 'AH0 G R IY1 D',
+        'blew': 'B L UW1',
+        'wrapped': 'R AE1 P T',
+        'shined': 'SH AY1 N D',
+        'obliged': 'AH0 B L AY1 JH D',
+        'cracked': 'K R AE1 K T',
+        'urged': 'ER1 JH D',
+        'pronounced': 'P R AH0 N AW1 N S T',
+        'washed': 'W AA1 SH T',
+        'checked': 'CH EH1 K T',
+        'picked': 'P IH1 K T',
+        'stressed': 'S T R EH1 S T',
+        'implied': 'IH0 M P L AY1 D',
+        'managed': 'M AE1 N AH0 JH D',
+        'laid': 'L EY1 D',
+        'wiped': 'W AY1 P T',
+        'warned': 'W AO1 R N D',
+        'confirmed': 'K AH0 N F ER1 M D',
+        'remembered': 'R IH0 M EH1 M B ER0 D',
+        'required': 'R IY0 K W AY1 ER0 D',
+        'administered': 'AE0 D M IH1 N AH0 S T ER0 D',
+        'deserted': 'D IH0 Z ER1 T IH0 D',
+        'headed': 'HH EH1 D AH0 D',
+        'succeeded': 'S AH0 K S IY1 D AH0 D',
+        'wanted': 'W AO1 N T AH0 D',
+        'needed': 'N IY1 D AH0 D',
+        'started': 'S T AA1 R T AH0 D',
+        'decided': 'D IH0 S AY1 D IH0 D',
+
+        // Silent final e and other silent vowels
+        'time': 'T AY1 M',
+        'make': 'M EY1 K',
+        'made': 'M EY1 D',
+        'take': 'T EY1 K',
+        'came': 'K EY1 M',
+        'name': 'N EY1 M',
+        'same': 'S EY1 M',
+        'place': 'P L EY1 S',
+        'home': 'HH OW1 M',
+        'stone': 'S T OW1 N',
+        'whole': 'HH OW1 L',
+        'while': 'W AY1 L',
+        'white': 'W AY1 T',
+        'write': 'R AY1 T',
+        'those': 'DH OW1 Z',
+        'these': 'DH IY1 Z',
+        'because': 'B IH0 K AO1 Z',
+        'before': 'B IH0 F AO1 R',
+        'sometimes': 'S AH1 M T AY2 M Z',
+        'someone': 'S AH1 M W AH2 N',
+        'everyone': 'EH1 V R IY0 W AH2 N',
+        'lately': 'L EY1 T L IY0',
+        'lovely': 'L AH1 V L IY0',
+        'closely': 'K L OW1 S L IY0',
+        'likely': 'L AY1 K L IY0',
+        'safely': 'S EY1 F L IY0',
+        'movement': 'M UW1 V M AH0 N T',
+        'statement': 'S T EY1 T M AH0 N T',
+        'hopeful': 'HH OW1 P F AH0 L',
+        'careful': 'K EH1 R F AH0 L',
+        'homeless': 'HH OW1 M L AH0 S',
+        'tire': 'T AY1 ER0',
+        'fire': 'F AY1 ER0',
+        'hire': 'HH AY1 ER0',
+        'wire': 'W AY1 ER0',
+        'there': 'DH EH1 R',
+        'where': 'W EH1 R',
+        'here': 'HH IY1 R',
+        'were': 'W ER1',
+        'one': 'W AH1 N',
+        'once': 'W AH1 N S',
+        'done': 'D AH1 N',
+        'gone': 'G AO1 N',
+        'give': 'G IH1 V',
+        'have': 'HH AE1 V',
+        'live': 'L IH1 V',
+        'love': 'L AH1 V',
+        'above': 'AH0 B AH1 V',
+        'some': 'S AH1 M',
+        'come': 'K AH1 M',
+        'become': 'B IH0 K AH1 M',
+        'large': 'L AA1 R JH',
+        'ooze': 'UW1 Z',
+        'ice': 'AY1 S',
+        'snow': 'S N OW1',
+        'prevents': 'P R IH0 V EH1 N T S',
+
+        // Reduced or dropped middle syllables
+        'every': 'EH1 V R IY0',
+        'everything': 'EH1 V R IY0 TH IH2 NG',
+        'evening': 'IY1 V N IH0 NG',
+        'business': 'B IH1 Z N AH0 S',
+        'different': 'D IH1 F R AH0 N T',
+        'difference': 'D IH1 F R AH0 N S',
+        'family': 'F AE1 M L IY0',
+        'camera': 'K AE1 M R AH0',
+        'chocolate': 'CH AO1 K L AH0 T',
+        'several': 'S EH1 V R AH0 L',
+        'general': 'JH EH1 N R AH0 L',
+        'generally': 'JH EH1 N R AH0 L IY0',
+        'favorite': 'F EY1 V R AH0 T',
+        'interest': 'IH1 N T R AH0 S T',
+        'interesting': 'IH1 N T R AH0 S T IH0 NG',
+        'vegetable': 'V EH1 JH T AH0 B AH0 L',
+        'comfortable': 'K AH1 M F T ER0 B AH0 L',
+        'temperature': 'T EH1 M P R AH0 CH ER0',
+        'restaurant': 'R EH1 S T ER0 AA2 N T',
+        'wednesday': 'W EH1 N Z D IY0',
+        'february': 'F EH1 B Y AH0 W EH2 R IY0',
+        'probably': 'P R AA1 B AH0 B L IY0',
+        'actually': 'AE1 K CH AH0 L IY0',
+        'usually': 'Y UW1 ZH AH0 L IY0',
+        'especially': 'AH0 S P EH1 SH L IY0',
+        'naturally': 'N AE1 CH ER0 AH0 L IY0',
+        'memory': 'M EH1 M ER0 IY0',
+        'history': 'HH IH1 S T ER0 IY0',
+        'library': 'L AY1 B R EH2 R IY0',
+        'average': 'AE1 V R IH0 JH',
+        'beverage': 'B EH1 V R IH0 JH',
+        'laboratory': 'L AE1 B R AH0 T AO2 R IY0',
+        'definitely': 'D EH1 F AH0 N AH0 T L IY0',
+        'separate': 'S EH1 P ER0 AH0 T',
+        'medicine': 'M EH1 D AH0 S AH0 N',
+        'veterinary': 'V EH1 T ER0 AH0 N EH2 R IY0',
+        'opera': 'AA1 P R AH0',
+        'miserable': 'M IH1 Z ER0 AH0 B AH0 L',
+        'boundary': 'B AW1 N D R IY0',
+        'mystery': 'M IH1 S T R IY0',
+        'company': 'K AH1 M P AH0 N IY0',
+        'police': 'P AH0 L IY1 S',
+
+        // Two vowels spelled together but said apart
+        'create': 'K R IY0 EY1 T',
+        'idea': 'AY0 D IY1 AH0',
+        'area': 'EH1 R IY0 AH0',
+        'real': 'R IY1 L',
+        'really': 'R IH1 L IY0',
+        'poem': 'P OW1 AH0 M',
+        'poet': 'P OW1 AH0 T',
+        'quiet': 'K W AY1 AH0 T',
+        'science': 'S AY1 AH0 N S',
+        'diet': 'D AY1 AH0 T',
+        'violin': 'V AY2 AH0 L IH1 N',
+        'lion': 'L AY1 AH0 N',
+        'being': 'B IY1 IH0 NG',
+        'seeing': 'S IY1 IH0 NG',
+        'going': 'G OW1 IH0 NG',
+        'doing': 'D UW1 IH0 NG',
+        'flowing': 'F L OW1 IH0 NG',
+        'boiling': 'B OY1 L IH0 NG',
+        'playing': 'P L EY1 IH0 NG',
+        'saying': 'S EY1 IH0 NG',
+        'trying': 'T R AY1 IH0 NG',
+        'video': 'V IH1 D IY0 OW2',
+        'radio': 'R EY1 D IY0 OW2',
+        'piano': 'P IY0 AE1 N OW0',
+        'museum': 'M Y UW0 Z IY1 AH0 M',
+        'period': 'P IH1 R IY0 AH0 D',
+        'serious': 'S IH1 R IY0 AH0 S',
+        'various': 'V EH1 R IY0 AH0 S',
+        'ether': 'IY1 TH ER0',
+        'lunatic': 'L UW1 N AH0 T IH0 K',
+        'diagnosis': 'D AY2 AH0 G N OW1 S AH0 S',
+        'theory': 'TH IH1 R IY0',
+        'ruin': 'R UW1 IH0 N',
+        'fluid': 'F L UW1 IH0 D',
+        'cruel': 'K R UW1 AH0 L',
+        'genuine': 'JH EH1 N Y UW0 AH0 N',
+        'react': 'R IY0 AE1 K T',
+        'chaos': 'K EY1 AA0 S',
+        'naive': 'N AY2 IY1 V',
+        'naïve': 'N AY2 IY1 V',
+        'cafe': 'K AH0 F EY1',
+        'café': 'K AH0 F EY1',
+        'recipe': 'R EH1 S AH0 P IY0',
+        'apostrophe': 'AH0 P AA1 S T R AH0 F IY0',
+        'catastrophe': 'K AH0 T AE1 S T R AH0 F IY0',
+        'simile': 'S IH1 M AH0 L IY0',
+        'fiance': 'F IY2 AA0 N S EY1',
+
+        // Consonant + le and other written-consonant syllables
+        'little': 'L IH1 T AH0 L',
+        'table': 'T EY1 B AH0 L',
+        'able': 'EY1 B AH0 L',
+        'simple': 'S IH1 M P AH0 L',
+        'people': 'P IY1 P AH0 L',
+        'trifle': 'T R AY1 F AH0 L',
+        'middle': 'M IH1 D AH0 L',
+        'bottle': 'B AA1 T AH0 L',
+        'castle': 'K AE1 S AH0 L',
+        'circle': 'S ER1 K AH0 L',
+        'candle': 'K AE1 N D AH0 L',
+        'puzzle': 'P AH1 Z AH0 L',
+        'rhythm': 'R IH1 DH AH0 M',
+        'prism': 'P R IH1 Z AH0 M',
+        'prisms': 'P R IH1 Z AH0 M Z',
+        'heaven': 'HH EH1 V AH0 N',
+        'listen': 'L IH1 S AH0 N',
+        'often': 'AO1 F AH0 N',
+        'button': 'B AH1 T AH0 N',
+        'buttons': 'B AH1 T AH0 N Z',
+        'organ': 'AO1 R G AH0 N',
+        'world': 'W ER1 L D',
+        'girl': 'G ER1 L',
+        'hour': 'AW1 ER0',
+        'hours': 'AW1 ER0 Z',
+        'our': 'AW1 ER0',
+        'flower': 'F L AW1 ER0',
+        'power': 'P AW1 ER0',
+        'tower': 'T AW1 ER0',
+
+        // Spellings with many silent letters
+        'through': 'TH R UW1',
+        'though': 'DH OW1',
+        'thought': 'TH AO1 T',
+        'although': 'AO2 L DH OW1',
+        'enough': 'IH0 N AH1 F',
+        'eight': 'EY1 T',
+        'weight': 'W EY1 T',
+        'height': 'HH AY1 T',
+        'knight': 'N AY1 T',
+        'night': 'N AY1 T',
+        'light': 'L AY1 T',
+        'sunlight': 'S AH1 N L AY2 T',
+        'daughter': 'D AO1 T ER0',
+        'island': 'AY1 L AH0 N D',
+        'answer': 'AE1 N S ER0',
+        'answers': 'AE1 N S ER0 Z',
+        'climb': 'K L AY1 M',
+        'doubt': 'D AW1 T',
+        'friend': 'F R EH1 N D',
+        'friends': 'F R EH1 N D Z',
+        'guess': 'G EH1 S',
+        'guitar': 'G IH0 T AA1 R',
+        'honest': 'AA1 N AH0 S T',
+        'knowledge': 'N AA1 L AH0 JH',
+        'language': 'L AE1 NG G W AH0 JH',
+        'league': 'L IY1 G',
+        'queue': 'K Y UW1',
+        'colonel': 'K ER1 N AH0 L',
+        'yacht': 'Y AA1 T',
+        'choir': 'K W AY1 ER0',
+        'women': 'W IH1 M AH0 N',
+        'said': 'S EH1 D',
+        'says': 'S EH1 Z',
+        'does': 'D AH1 Z',
+        'beautiful': 'B Y UW1 T AH0 F AH0 L',
+        'beauty': 'B Y UW1 T IY0',
+        'colors': 'K AH1 L ER0 Z',
+        'rainbow': 'R EY1 N B OW2',
+        'raindrops': 'R EY1 N D R AA2 P S',
+        'ancient': 'EY1 N CH AH0 N T',
+        'traveler': 'T R AE1 V AH0 L ER0',
+        'traveller': 'T R AE1 V AH0 L ER0',
+        'cloak': 'K L OW1 K',
+        'warmly': 'W AO1 R M L IY0',
+        'immediately': 'IH2 M IY1 D IY0 AH0 T L IY0',
+        'disputing': 'D IH0 S P Y UW1 T IH0 NG',
+        'stronger': 'S T R AO1 NG G ER0',
+        'confess': 'K AH0 N F EH1 S',
+        'attempt': 'AH0 T EH1 M P T',
+        'division': 'D IH0 V IH1 ZH AH0 N',
+        'apparently': 'AH0 P EH1 R AH0 N T L IY0',
+        'horizon': 'HH ER0 AY1 Z AH0 N',
+        'according': 'AH0 K AO1 R D IH0 NG',
+        'legend': 'L EH1 JH AH0 N D',
+        'grandfather': 'G R AE1 N D F AA2 DH ER0',
+        'ninety': 'N AY1 N T IY0',
+        'dresses': 'D R EH1 S AH0 Z',
+        'swiftly': 'S W IH1 F T L IY0',
+        'observe': 'AH0 B Z ER1 V',
+        'utmost': 'AH1 T M OW2 S T',
+        'respect': 'R IH0 S P EH1 K T',
+        'quivers': 'K W IH1 V ER0 Z',
+        'skillfully': 'S K IH1 L F AH0 L IY0',
+        'modern': 'M AA1 D ER0 N',
+        'banana': 'B AH0 N AE1 N AH0',
+        'nurse': 'N ER1 S',
+        'territory': 'T EH1 R AH0 T AO2 R IY0',
+        'superb': 'S UH0 P ER1 B',
+        'private': 'P R AY1 V AH0 T',
+        'practice': 'P R AE1 K T AH0 S',
+        'porridge': 'P AO1 R AH0 JH',
+        'mirror': 'M IH1 R ER0',
+        'yellow': 'Y EH1 L OW0',
+        'fleece': 'F L IY1 S',
+        'official': 'AH0 F IH1 SH AH0 L',
+        'suffering': 'S AH1 F ER0 IH0 NG',
+        'surprising': 'S ER0 P R AY1 Z IH0 NG',
+        'sentimental': 'S EH2 N T AH0 M EH1 N T AH0 L',
+        'itchy': 'IH1 CH IY0',
+        'unsanitary': 'AH0 N S AE1 N AH0 T EH2 R IY0',
+        'choice': 'CH OY1 S',
+        'gently': 'JH EH1 N T L IY0',
+        'futile': 'F Y UW1 T AH0 L',
+        'relaxing': 'R IH0 L AE1 K S IH0 NG',
+        'bathe': 'B EY1 DH',
+        'effective': 'IH0 F EH1 K T IH0 V',
+        'treatment': 'T R IY1 T M AH0 N T',
+        'expensive': 'IH0 K S P EH1 N S IH0 V',
+        'penicillin': 'P EH2 N AH0 S IH1 L AH0 N',
+        'imagine': 'IH0 M AE1 JH AH0 N',
+        'millionaire': 'M IH2 L Y AH0 N EH1 R',
+        'lawyer': 'L OY1 ER0',
+        'goose': 'G UW1 S',
+        'tortoise': 'T AO1 R T AH0 S',
+        'ridiculed': 'R IH1 D IH0 K Y UW2 L D',
+        'replied': 'R IH0 P L AY1 D',
+        'reached': 'R IY1 CH T',
+        'straight': 'S T R EY1 T',
+        'comfortably': 'K AH1 M F ER0 T AH0 B L IY0',
+        'fatigue': 'F AH0 T IY1 G',
+        'peeped': 'P IY1 P T',
+        'conceived': 'K AH0 N S IY1 V D',
+        'engaged': 'IH0 N G EY1 JH D',
+        'struggled': 'S T R AH1 G AH0 L D',
+        'consecrated': 'K AA1 N S AH0 K R EY2 T IH0 D',
+        'advanced': 'AH0 D V AE1 N S T',
+        'honored': 'AA1 N ER0 D',
+        'increased': 'IH0 N K R IY1 S T',
+
+        // Contractions
+        'didn\'t': 'D IH1 D AH0 N T',
+        'doesn\'t': 'D AH1 Z AH0 N T',
+        'isn\'t': 'IH1 Z AH0 N T',
+        'wasn\'t': 'W AA1 Z AH0 N T',
+        'couldn\'t': 'K UH1 D AH0 N T',
+        'wouldn\'t': 'W UH1 D AH0 N T',
+        'shouldn\'t': 'SH UH1 D AH0 N T',
+        'can\'t': 'K AE1 N T',
+        'don\'t': 'D OW1 N T',
+        'won\'t': 'W OW1 N T',
+        'i\'m': 'AY1 M',
+        'it\'s': 'IH1 T S',
+        'here\'s': 'HH IH1 R Z',
+        'there\'s': 'DH EH1 R Z',
+        'they\'re': 'DH EH1 R',
+        'we\'re': 'W IH1 R',
+        'you\'re': 'Y UH1 R',
+        'i\'ve': 'AY1 V',
+        'we\'ve': 'W IY1 V',
+        'i\'ll': 'AY1 L',
+        'you\'ll': 'Y UW1 L'
+    }
+};
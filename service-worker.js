@@ -1,7 +1,7 @@
 // Magpie Talk Service Worker
 // Provides offline support and aggressive caching for performance
 
-const CACHE_VERSION = 'v1';
+const CACHE_VERSION = 'v5';
 const CACHE_NAME = `magpie-talk-${CACHE_VERSION}`;
 
 // Resources to cache immediately on install
@@ -9,15 +9,18 @@ const STATIC_ASSETS = [
     '/',
     '/index.html',
     '/app.js',
+    '/passages.js',
+    '/pronunciations.js',
+    '/parser-worker.js',
     '/styles.css',
     'https://cdnjs.cloudflare.com/ajax/libs/hypher/0.2.5/hypher.min.js',
     'https://cdnjs.cloudflare.com/ajax/libs/hypher/0.2.5/patterns/en-us.js'
 ];
 
-// Wikipedia API patterns to cache
+// Wikipedia API patterns to cache (any language edition)
 const WIKI_API_PATTERNS = [
-    /^https:\/\/api\.wikimedia\.org\/feed\/v1\/wikipedia\/en\/featured\//,
-    /^https:\/\/en\.wikipedia\.org\/w\/api\.php/
+    /^https:\/\/api\.wikimedia\.org\/feed\/v1\/wikipedia\/[a-z-]+\/featured\//,
+    /^https:\/\/[a-z-]+\.wikipedia\.org\/w\/api\.php/
 ];
 
 // Cache durations
@@ -220,6 +223,24 @@ self.addEventListener('message', (event) => {
         self.skipWaiting();
     }
 
+    // Precache extra assets on request (e.g. hyphenation patterns for a newly chosen language)
+    if (event.data && event.data.type === 'CACHE_URLS' && Array.isArray(event.data.urls)) {
+        event.waitUntil(
+            caches.open(CACHE_NAME).then((cache) => {
+                return Promise.all(event.data.urls.map(async (url) => {
+                    if (await cache.match(url)) return;
+                    const response = await fetch(url);
+                    if (response.ok) {
+                        await cache.put(url, addCacheHeaders(response));
+                        console.log('[SW] Cached on request:', url);
+                    }
+                }));
+            }).catch((error) => {
+                console.warn('[SW] Failed to cache requested URLs:', error);
+            })
+        );
+    }
+
     if (event.data && event.data.type === 'CLEAR_CACHE') {
         event.waitUntil(
             caches.delete(CACHE_NAME).then(() => {